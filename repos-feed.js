@@ -1,39 +1,120 @@
 // repos-feed.js - Fetch and display latest AHK v2 repositories from GitHub
 
+/**
+ * Sort modes offered in the sidebar
+ * The search API only sorts repositories by stars, forks or update time, so
+ * "created" and "pushed" fetch by update time and order each page locally.
+ */
+const REPO_SORT_MODES = {
+  updated: { label: 'Recently updated', apiSort: 'updated', field: 'updated_at', verb: 'Updated' },
+  stars: { label: 'Most stars', apiSort: 'stars', field: 'stargazers_count', verb: 'Updated' },
+  created: { label: 'Newest created', apiSort: 'updated', field: 'created_at', verb: 'Created', local: true },
+  pushed: { label: 'Recently pushed', apiSort: 'updated', field: 'pushed_at', verb: 'Pushed', local: true }
+};
+
+// The search API never returns results past the first 1000
+const SEARCH_RESULT_CAP = 1000;
+
 class ReposFeed {
   constructor(containerId, options = {}) {
     this.container = document.getElementById(containerId);
     this.limit = options.limit || 10;
+    this.cacheKey = options.cacheKey || 'ahk_repos_feed_cache';
+    this.cacheTTL = options.cacheTTL || 300000; // 5 minutes
+    this.snapshotUrl = options.snapshotUrl || 'dist/repos-snapshot.json';
+    this.query = options.query || this.getDefaultQuery();
+    this.showV1 = options.showV1 === true;
+    this.snapshot = undefined;
+    this.versions = {};
+    this.sortKey = options.sortKey || 'ahk_repos_feed_sort';
+    this.sort = this.loadSort(options.sort);
+    this.page = 1;
+    this.totalCount = 0;
+    this.shownIds = new Set();
+    this.results = this.container;
+    this.loadMoreBtn = null;
     this.loading = false;
   }
 
   /**
    * Fetch repositories from GitHub API
-   * Searches for repositories with "autohotkey" topic or language
-   * Sorted by recently updated
+   * Searches with the shared AHK v2 query (see scripts/search-query.js)
+   * Sorted by the selected sort mode (recently updated by default)
+   *
+   * The last good response is kept in localStorage together with its ETag,
+   * so repeat visits send a conditional request (a 304 does not count against
+   * the search quota) and a rate-limited visit still shows the cached cards.
+   *
+   * Without a cache, the build-time snapshot (see scripts/build.js --export)
+   * is shown first and stays on screen if the live request fails.
    */
   async fetchRepos() {
+    // The sort can change while a request is in flight; a stale response is
+    // neither rendered nor cached under the new sort's key
+    const sort = this.sort;
+    this.renderControls();
+    this.page = 1;
+    this.totalCount = 0;
+    this.updateLoadMore();
+
+    const cached = this.loadCache();
+    // The snapshot's detected AHK versions badge every card, cached ones included
+    const snapshot = await this.getSnapshot();
+    if (sort !== this.sort) return;
+
+    // Serve straight from cache while it is fresh or while we know the quota is spent
+    if (cached && (this.isCacheFresh(cached) || this.isRateLimited(cached))) {
+      this.totalCount = cached.totalCount || 0;
+      this.displayRepos(cached.items);
+      if (this.isRateLimited(cached)) this.showRateLimitNote(cached.rateLimit.reset);
+      // Release the state of a superseded loadMore()
+      this.loading = false;
+      this.updateLoadMore();
+      return;
+    }
+
     try {
       this.loading = true;
-      this.showLoading();
-
-      // Search for AutoHotkey v2 repositories
-      // Using GitHub search API to find repos with autohotkey topic/language
-      // Search for repos that mention "v2" or "autohotkey 2" in readme/description
-      const query = encodeURIComponent('autohotkey v2 OR "autohotkey 2" language:AutoHotkey');
-      const perPage = this.limit;
-      const url = `https://api.github.com/search/repositories?q=${query}&sort=updated&order=desc&per_page=${perPage}`;
-
-      const response = await fetch(url, {
-        headers: {
-          'Accept': 'application/vnd.github.v3+json',
-          'User-Agent': 'AHKv2-LLMs-Site'
-        }
-      });
+      if (cached) {
+        this.displayRepos(cached.items);
+      } else if (snapshot) {
+        this.showSnapshot(snapshot);
+      } else {
+        this.showLoading();
+      }
+
+      const headers = this.buildHeaders();
+      if (cached && cached.etag) {
+        headers['If-None-Match'] = cached.etag;
+      }
+
+      const response = await fetch(this.buildSearchUrl(1), { headers });
+      if (sort !== this.sort) return;
+      const rateLimit = this.readRateLimit(response);
+
+      // Not modified: the cached items are still current
+      if (response.status === 304 && cached) {
+        this.saveCache({ ...cached, rateLimit, timestamp: Date.now() });
+        this.totalCount = cached.totalCount || 0;
+        this.displayRepos(cached.items);
+        this.updateLoadMore();
+        return;
+      }
 
       if (!response.ok) {
+        const limited = (response.status === 403 || response.status === 429) && rateLimit.remaining === 0;
+
+        if (limited && cached) {
+          this.saveCache({ ...cached, rateLimit });
+          this.displayRepos(cached.items);
+          this.showRateLimitNote(rateLimit.reset);
+          return;
+        }
+
         // If rate limited or other API error, show a helpful message
-        if (response.status === 403) {
+        if (limited) {
+          throw new Error(`GitHub API rate limit exceeded. Refreshes ${this.formatReset(rateLimit.reset)}.`);
+        } else if (response.status === 403) {
           throw new Error('GitHub API rate limit exceeded. Please try again later.');
         } else if (response.status === 404) {
           throw new Error('GitHub API endpoint not found.');
@@ -43,14 +124,33 @@ class ReposFeed {
       }
 
       const data = await response.json();
-      
+      if (sort !== this.sort) return;
+
       if (!data.items || data.items.length === 0) {
-        this.container.innerHTML = '<p class="repos-empty">No repositories found. Check back later for updates!</p>';
+        this.results.innerHTML = '<p class="repos-empty">No repositories found. Check back later for updates!</p>';
         return;
       }
+
+      this.saveCache({
+        items: data.items,
+        totalCount: data.total_count,
+        etag: response.headers.get('ETag'),
+        rateLimit,
+        timestamp: Date.now()
+      });
       
+      this.totalCount = data.total_count || 0;
       this.displayRepos(data.items);
+      this.updateLoadMore();
     } catch (error) {
+      if (sort !== this.sort) return;
+
+      // Keep showing the last good response or the snapshot rather than an empty error box
+      if (cached || snapshot) {
+        console.error('Error fetching repos:', error);
+        return;
+      }
+
       // Check if it's a network error (CORS, blocked, etc.)
       if (error.message.includes('Failed to fetch') || error.name === 'TypeError') {
         this.showError('Unable to load repositories. This feature requires an internet connection and may not work in all environments.');
@@ -59,7 +159,269 @@ class ReposFeed {
       }
       console.error('Error fetching repos:', error);
     } finally {
-      this.loading = false;
+      // A newer request owns the loading state
+      if (sort === this.sort) {
+        this.loading = false;
+        this.updateLoadMore();
+      }
+    }
+  }
+
+  /**
+   * Fetch the next search page and append its cards below the current ones
+   */
+  async loadMore() {
+    if (this.loading) return;
+
+    const sort = this.sort;
+    this.loading = true;
+    this.setLoadMoreText('Loading...');
+
+    try {
+      const response = await fetch(this.buildSearchUrl(this.page + 1), { headers: this.buildHeaders() });
+      if (sort !== this.sort) return;
+
+      if (!response.ok) {
+        const rateLimit = this.readRateLimit(response);
+        const limited = (response.status === 403 || response.status === 429) && rateLimit.remaining === 0;
+        throw new Error(limited
+          ? `Rate limited \u2014 retry ${this.formatReset(rateLimit.reset)}`
+          : `GitHub API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (sort !== this.sort) return;
+
+      this.page++;
+      this.totalCount = data.total_count || this.totalCount;
+      this.appendRepos(data.items || []);
+      this.setLoadMoreText('Load more');
+    } catch (error) {
+      if (sort !== this.sort) return;
+      console.error('Error loading more repos:', error);
+      this.setLoadMoreText(error.message.startsWith('Rate limited') ? error.message : 'Retry loading more');
+    } finally {
+      // A newer request owns the loading state
+      if (sort === this.sort) {
+        this.loading = false;
+        this.updateLoadMore();
+      }
+    }
+  }
+
+  /**
+   * Build the search URL for a page in the current sort mode
+   */
+  buildSearchUrl(page) {
+    const query = encodeURIComponent(this.query);
+    const sort = REPO_SORT_MODES[this.sort].apiSort;
+    return `https://api.github.com/search/repositories?q=${query}&sort=${sort}&order=desc&per_page=${this.limit}&page=${page}`;
+  }
+
+  /**
+   * Search query shared with the build (scripts/search-query.js)
+   * Falls back to a plain query when that script is not loaded
+   */
+  getDefaultQuery() {
+    if (typeof buildSearchQuery === 'function' && typeof AHK_REPO_SEARCH !== 'undefined') {
+      return buildSearchQuery(AHK_REPO_SEARCH);
+    }
+    return 'autohotkey v2 language:AutoHotkey';
+  }
+
+  /**
+   * Request headers for the search API
+   */
+  buildHeaders() {
+    return {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'AHKv2-LLMs-Site'
+    };
+  }
+
+  /**
+   * Read the persisted sort mode, falling back to the given default
+   */
+  loadSort(fallback) {
+    let sort = null;
+    try {
+      sort = typeof localStorage !== 'undefined' ? localStorage.getItem(this.sortKey) : null;
+    } catch (error) {
+      // Storage can be disabled; the default sort is fine
+    }
+    if (sort && REPO_SORT_MODES[sort]) return sort;
+    return REPO_SORT_MODES[fallback] ? fallback : 'updated';
+  }
+
+  /**
+   * Switch sort mode, remember it and reload the first page
+   */
+  setSort(sort) {
+    if (!REPO_SORT_MODES[sort] || sort === this.sort) return;
+
+    this.sort = sort;
+    try {
+      if (typeof localStorage !== 'undefined') localStorage.setItem(this.sortKey, sort);
+    } catch (error) {
+      console.error('Error saving repos sort:', error);
+    }
+    this.fetchRepos();
+  }
+
+  /**
+   * Render the sort control, results area and "load more" button once
+   */
+  renderControls() {
+    if (!this.container || this.loadMoreBtn) return;
+
+    const options = Object.entries(REPO_SORT_MODES)
+      .map(([key, mode]) => `<option value="${key}"${key === this.sort ? ' selected' : ''}>${mode.label}</option>`)
+      .join('');
+
+    this.container.innerHTML = `
+      <div class="repos-toolbar">
+        <select class="repos-sort" aria-label="Sort repositories">${options}</select>
+      </div>
+      <div class="repos-results"></div>
+      <button type="button" class="repos-load-more" hidden>Load more</button>
+    `;
+
+    this.results = this.container.querySelector('.repos-results');
+    this.loadMoreBtn = this.container.querySelector('.repos-load-more');
+
+    this.container.querySelector('.repos-sort').addEventListener('change', (e) => this.setSort(e.target.value));
+    this.loadMoreBtn.addEventListener('click', () => this.loadMore());
+  }
+
+  /**
+   * Show the "load more" button only while the search has further pages
+   */
+  updateLoadMore() {
+    if (!this.loadMoreBtn) return;
+
+    const available = Math.min(this.totalCount, SEARCH_RESULT_CAP);
+    this.loadMoreBtn.hidden = this.page * this.limit >= available;
+    this.loadMoreBtn.disabled = this.loading;
+  }
+
+  /**
+   * Update the "load more" button label
+   */
+  setLoadMoreText(text) {
+    if (this.loadMoreBtn) this.loadMoreBtn.textContent = text;
+  }
+
+  /**
+   * Order a page of results for sort modes the API cannot sort by
+   */
+  orderRepos(repos) {
+    return REPO_SORT_MODES[this.sort].local ? this.sortByMode(repos) : repos;
+  }
+
+  /**
+   * Sort repos by the current mode's field, newest or largest first
+   */
+  sortByMode(repos) {
+    const field = REPO_SORT_MODES[this.sort].field;
+    const value = field.endsWith('_at')
+      ? repo => new Date(repo[field] || repo.updated_at).getTime() || 0
+      : repo => repo[field] || 0;
+    return [...repos].sort((a, b) => value(b) - value(a));
+  }
+
+  /**
+   * Read the X-RateLimit-* headers from a response
+   * reset is returned in milliseconds since the epoch
+   */
+  readRateLimit(response) {
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    const reset = response.headers.get('X-RateLimit-Reset');
+
+    return {
+      remaining: remaining === null ? null : parseInt(remaining, 10),
+      reset: reset === null ? null : parseInt(reset, 10) * 1000
+    };
+  }
+
+  /**
+   * Whether the cached entry is young enough to skip the network entirely
+   */
+  isCacheFresh(cached) {
+    return Date.now() - cached.timestamp < this.cacheTTL;
+  }
+
+  /**
+   * Whether the last response told us the quota is spent until a future reset
+   */
+  isRateLimited(cached) {
+    const rateLimit = cached.rateLimit;
+    return Boolean(rateLimit && rateLimit.remaining === 0 && rateLimit.reset > Date.now());
+  }
+
+  /**
+   * Cache key for the current sort mode
+   */
+  getCacheKey() {
+    return `${this.cacheKey}:${this.sort}`;
+  }
+
+  /**
+   * Load the cached response from localStorage
+   */
+  loadCache() {
+    if (typeof localStorage === 'undefined') return null;
+
+    try {
+      const cached = JSON.parse(localStorage.getItem(this.getCacheKey()));
+      if (cached && Array.isArray(cached.items) && cached.items.length > 0) {
+        return cached;
+      }
+    } catch (error) {
+      console.error('Error loading repos cache:', error);
+    }
+    return null;
+  }
+
+  /**
+   * Load the snapshot once and keep its detected AHK versions
+   */
+  async getSnapshot() {
+    if (this.snapshot === undefined) {
+      this.snapshot = await this.loadSnapshot();
+      this.versions = (this.snapshot && this.snapshot.versions) || {};
+    }
+    return this.snapshot;
+  }
+
+  /**
+   * Load the build-time repos snapshot
+   * Returns null when it is missing or empty
+   */
+  async loadSnapshot() {
+    try {
+      const response = await fetch(this.snapshotUrl);
+      if (!response.ok) return null;
+
+      const snapshot = await response.json();
+      if (snapshot && Array.isArray(snapshot.items) && snapshot.items.length > 0) {
+        return snapshot;
+      }
+    } catch (error) {
+      console.warn('Repos snapshot unavailable:', error);
+    }
+    return null;
+  }
+
+  /**
+   * Save a response to localStorage
+   */
+  saveCache(entry) {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(this.getCacheKey(), JSON.stringify(entry));
+    } catch (error) {
+      console.error('Error saving repos cache:', error);
     }
   }
 
@@ -72,21 +434,78 @@ class ReposFeed {
       return;
     }
 
+    this.shownIds = new Set(repos.map(repo => repo.id));
+    repos = this.filterVersions(repos);
+
     if (repos.length === 0) {
-      this.container.innerHTML = '<p class="repos-empty">No repositories found.</p>';
+      this.results.innerHTML = '<p class="repos-empty">No repositories found.</p>';
+      return;
+    }
+
+    const reposList = this.orderRepos(repos).map(repo => this.createRepoCard(repo)).join('');
+    this.results.innerHTML = `<ul class="repos-list">${reposList}</ul>`;
+  }
+
+  /**
+   * Append repositories below the ones already shown
+   * Cards already on screen are left untouched; repos that shifted between
+   * pages since the first request are skipped
+   */
+  appendRepos(repos) {
+    const list = this.results && this.results.querySelector('.repos-list');
+    if (!list) {
+      this.displayRepos(repos);
       return;
     }
 
-    const reposList = repos.map(repo => this.createRepoCard(repo)).join('');
-    this.container.innerHTML = `<ul class="repos-list">${reposList}</ul>`;
+    let fresh = repos.filter(repo => !this.shownIds.has(repo.id));
+    fresh.forEach(repo => this.shownIds.add(repo.id));
+    fresh = this.filterVersions(fresh);
+    list.insertAdjacentHTML('beforeend', this.orderRepos(fresh).map(repo => this.createRepoCard(repo)).join(''));
+  }
+
+  /**
+   * Detected AHK version of a repo, from the item itself or the snapshot
+   */
+  getVersion(repo) {
+    if (repo.ahkVersion) {
+      return { ahkVersion: repo.ahkVersion, ahkVersionConfidence: repo.ahkVersionConfidence || 0 };
+    }
+    return this.versions[repo.id] || null;
+  }
+
+  /**
+   * Hide repos confidently detected as v1-only, unless showV1 is set
+   * Same threshold as CONFIRMED_CONFIDENCE in scripts/ahk-version.js
+   */
+  filterVersions(repos) {
+    if (this.showV1) return repos;
+
+    return repos.filter(repo => {
+      const version = this.getVersion(repo);
+      return !(version && version.ahkVersion === 'v1' && version.ahkVersionConfidence >= 0.6);
+    });
+  }
+
+  /**
+   * Create HTML for the detected AHK version badge
+   */
+  createVersionBadge(repo) {
+    const version = this.getVersion(repo);
+    if (!version || !['v1', 'v2', 'mixed'].includes(version.ahkVersion)) return '';
+
+    const confidence = Math.round(version.ahkVersionConfidence * 100);
+    return `<span class="version-badge version-${version.ahkVersion}" title="Detected AHK ${version.ahkVersion} (${confidence}% confidence)">${version.ahkVersion}</span>`;
   }
 
   /**
    * Create HTML for a single repository card
    */
   createRepoCard(repo) {
-    const updatedDate = new Date(repo.updated_at);
-    const formattedDate = this.formatDate(updatedDate);
+    const mode = REPO_SORT_MODES[this.sort];
+    const dateField = mode.field.endsWith('_at') && repo[mode.field] ? mode.field : 'updated_at';
+    const verb = dateField === mode.field ? mode.verb : 'Updated';
+    const formattedDate = this.formatDate(new Date(repo[dateField]));
     const stars = this.formatNumber(repo.stargazers_count);
     const description = repo.description 
       ? `<p class="repo-description">${this.escapeHtml(repo.description)}</p>` 
@@ -102,7 +521,8 @@ class ReposFeed {
           ${description}
           <div class="repo-meta">
             <span class="repo-language">${repo.language || 'AutoHotkey'}</span>
-            <span class="repo-updated">Updated ${formattedDate}</span>
+            ${this.createVersionBadge(repo)}
+            <span class="repo-updated">${verb} ${formattedDate}</span>
           </div>
         </a>
       </li>
@@ -155,12 +575,52 @@ class ReposFeed {
     return div.innerHTML;
   }
 
+  /**
+   * Format a rate-limit reset time as "in N min"
+   */
+  formatReset(resetMs) {
+    if (!resetMs) return 'soon';
+    const minutes = Math.max(1, Math.ceil((resetMs - Date.now()) / 60000));
+    return `in ${minutes} min`;
+  }
+
+  /**
+   * Show a note above the cards
+   */
+  showNote(text) {
+    if (!this.container) return;
+
+    const note = document.createElement('p');
+    note.className = 'repos-cache-note';
+    note.textContent = text;
+    this.results.prepend(note);
+  }
+
+  /**
+   * Show a note above cached cards while the API quota is spent
+   */
+  showRateLimitNote(resetMs) {
+    this.showNote(`Showing cached results \u2014 GitHub rate limit reached, refreshes ${this.formatReset(resetMs)}.`);
+  }
+
+  /**
+   * Show the build-time snapshot with its "as of" date
+   */
+  showSnapshot(snapshot) {
+    this.displayRepos(this.sortByMode(snapshot.items).slice(0, this.limit));
+
+    const asOf = new Date(snapshot.generatedAt);
+    if (!isNaN(asOf)) {
+      this.showNote(`Snapshot as of ${asOf.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}`);
+    }
+  }
+
   /**
    * Show loading state
    */
   showLoading() {
     if (this.container) {
-      this.container.innerHTML = '<p class="repos-loading">Loading repositories...</p>';
+      this.results.innerHTML = '<p class="repos-loading">Loading repositories...</p>';
     }
   }
 
@@ -169,7 +629,7 @@ class ReposFeed {
    */
   showError(message) {
     if (this.container) {
-      this.container.innerHTML = `
+      this.results.innerHTML = `
         <div class="repos-error">
           <p class="repos-error-text">${this.escapeHtml(message)}</p>
           <p class="repos-error-note">This feature works best when the site is hosted on GitHub Pages.</p>
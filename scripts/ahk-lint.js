@@ -0,0 +1,204 @@
+/**
+ * AHK v2 Linter
+ *
+ * Static checks for the AutoHotkey v2 code bodies in the manifest. The
+ * collection is reference material for LLMs, so v1 syntax is reported as
+ * an error even where AutoHotkey itself would only misbehave quietly.
+ *
+ * Findings are { rule, severity, line, message } with line numbers counted
+ * from the first line inside the ```cpp fence.
+ */
+
+const { V1_SIGNALS, stripComments, stripStrings } = require('./ahk-version');
+
+// v1 signals from the version detector that are lint errors on their own
+const V1_RULES = V1_SIGNALS.filter(signal => signal.id !== 'v1-legacy-assign' && signal.id !== 'v1-deref');
+
+// %var% outside strings, except v2 dynamic references: obj.%name%,
+// %fn%() and %name%[i]
+const CODE_DEREF_RE = /(?<!\.)%[A-Za-z_]\w*%(?![(\[])/;
+const STRING_RE = /"(?:[^"`]|`.)*"|'(?:[^'`]|`.)*'/g;
+const DEREF_RE = /%[A-Za-z_]\w*%/;
+
+const BRACKETS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * Remove the ```cpp fence around a manifest code body
+ */
+function stripFence(code) {
+    return String(code || '').replace(/^\s*```\w*\r?\n?/, '').replace(/\r?\n?```\s*$/, '');
+}
+
+/**
+ * Mark the lines inside continuation sections, which hold raw text
+ * A section opens with a line starting with "(" that has no closing ")"
+ * and ends at a line starting with ")"
+ */
+function continuationLines(lines) {
+    const inside = new Set();
+    let open = false;
+
+    lines.forEach((line, i) => {
+        const trimmed = line.trim();
+        if (open) {
+            inside.add(i);
+            if (trimmed.startsWith(')')) open = false;
+        } else if (/^\((?!.*\))/.test(trimmed)) {
+            inside.add(i);
+            open = true;
+        }
+    });
+
+    return inside;
+}
+
+/**
+ * Find an unterminated string literal on a line
+ * Returns the quote character, or null when all strings are closed
+ */
+function unterminatedQuote(line) {
+    let quote = null;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch === '`') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        }
+    }
+
+    return quote;
+}
+
+/**
+ * Check a line for a v1 %var% dereference
+ * v2 strings are literal, so %var% inside one is a v1 leftover too
+ */
+function hasV1Deref(raw, stripped) {
+    return CODE_DEREF_RE.test(stripped) || (raw.match(STRING_RE) || []).some(str => DEREF_RE.test(str));
+}
+
+/**
+ * Check bracket balance across the whole body
+ */
+function checkBrackets(code, skip, report) {
+    const stack = [];
+
+    code.forEach((line, i) => {
+        if (skip.has(i)) return;
+
+        for (const ch of stripStrings(line)) {
+            if (BRACKETS[ch]) {
+                stack.push({ ch, line: i + 1 });
+            } else if (CLOSERS[ch]) {
+                const top = stack[stack.length - 1];
+                if (top && top.ch === CLOSERS[ch]) {
+                    stack.pop();
+                } else {
+                    report('unbalanced-brackets', 'error', i + 1, `unexpected "${ch}"${top ? ` (expected "${BRACKETS[top.ch]}" for line ${top.line})` : ''}`);
+                }
+            }
+        }
+    });
+
+    for (const open of stack) {
+        report('unbalanced-brackets', 'error', open.line, `"${open.ch}" is never closed`);
+    }
+}
+
+/**
+ * Flag "return" ending a v1-style hotkey label
+ * In v2 a multi-line hotkey body is a function in braces
+ */
+function checkHotkeyReturns(code, report) {
+    let inLabel = false;
+    let depth = 0;
+
+    code.forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+
+        if (depth === 0 && /^[^\s:;"'][^"']*::$/.test(trimmed)) {
+            const next = code.slice(i + 1).find(l => l.trim());
+            inLabel = !(next && next.trim().startsWith('{'));
+            return;
+        }
+
+        const stripped = stripStrings(line);
+        depth += (stripped.match(/\{/g) || []).length - (stripped.match(/\}/g) || []).length;
+
+        if (inLabel && depth === 0 && /^return\b/i.test(trimmed)) {
+            report('hotkey-return', 'error', i + 1, 'v1 hotkey label ended by "return"; v2 hotkeys wrap their body in braces');
+            inLabel = false;
+        }
+    });
+}
+
+/**
+ * Lint one AHK v2 code body
+ *
+ * Options:
+ *   resolveInclude(target)  Returns true when an #Include target exists;
+ *                           without it #Include is not checked
+ */
+function lintAhk(source, options = {}) {
+    const findings = [];
+    const report = (rule, severity, line, message) => findings.push({ rule, severity, line, message });
+
+    const body = stripFence(source);
+    const code = stripComments(body);
+    const continuation = continuationLines(code);
+
+    if (!/^\s*#Requires\s+AutoHotkey\s+(?:>=\s*)?v?2\./im.test(code.join('\n'))) {
+        report('missing-requires', 'warning', 1, 'missing "#Requires AutoHotkey v2.0"');
+    }
+
+    code.forEach((raw, i) => {
+        if (!raw.trim() || continuation.has(i)) return;
+        const line = i + 1;
+        const stripped = stripStrings(raw);
+
+        for (const rule of V1_RULES) {
+            if (rule.re.test(rule.raw ? raw : stripped)) {
+                report(rule.id, 'error', line, rule.message);
+            }
+        }
+
+        if (hasV1Deref(raw, stripped)) {
+            report('v1-deref', 'error', line, '%var% dereference; use the variable directly or concatenate');
+        }
+
+        if (/^\s*[A-Za-z_]\w*(?:\.\w+|\[[^\]]*\])*\s*=\s*[^=\s]/.test(stripped) && !/^\s*(?:static|global|local)\b/i.test(stripped)) {
+            report('legacy-assign', 'error', line, '"=" is a comparison in v2; use ":=" to assign');
+        }
+
+        // "if x := 5" is almost always a typo for a comparison; "if x := Fn()" is idiomatic
+        if (/^\s*(?:if|while|until)\b[^:]*[^:<>!=]:=\s*(?:-?\d|""(?!\s*\w))/i.test(stripped)) {
+            report('assign-in-condition', 'warning', line, '":=" inside a condition assigns; use "=" to compare');
+        }
+
+        // A quote left open before a continuation section is closed after it
+        const quote = unterminatedQuote(raw);
+        if (quote && !continuation.has(i + 1)) {
+            report('unbalanced-quotes', 'error', line, `unterminated ${quote === '"' ? 'double' : 'single'}-quoted string`);
+        }
+
+        const include = raw.match(/^\s*#Include(?:Again)?\s+(?:\*i\s+)?(.+?)\s*$/i);
+        if (include && options.resolveInclude && !options.resolveInclude(include[1])) {
+            report('include-missing', 'warning', line, `#Include ${include[1]} does not exist`);
+        }
+    });
+
+    checkBrackets(code, continuation, report);
+    checkHotkeyReturns(code, report);
+
+    return findings.sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+    stripFence,
+    lintAhk
+};
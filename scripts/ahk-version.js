@@ -0,0 +1,292 @@
+/**
+ * AutoHotkey Version Detector
+ *
+ * Classifies AutoHotkey source as v1, v2 or mixed from syntax signals:
+ * #Requires directives, v1 command syntax, %var% dereferences and
+ * v2-only constructs. Used by scripts/build.js to tag fetched repos.
+ *
+ * Detection works on plain { path, content } file lists, so it can run
+ * against files fetched from GitHub or against a local directory:
+ *
+ *   node scripts/build.js --detect path/to/fixtures
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Entries with ahkVersion 'v1' at or above this confidence are treated as
+// confirmed v1 and filtered out by default (repos-feed.js and
+// script-update.js use the same threshold)
+const CONFIRMED_CONFIDENCE = 0.6;
+
+// Evidence needed for full confidence
+const FULL_EVIDENCE = 12;
+
+// Number of .ahk files inspected per repository
+const MAX_FILES = 3;
+
+// Common v1 commands; in v1 they take comma-separated arguments
+const V1_COMMANDS = [
+    'MsgBox', 'InputBox', 'ToolTip', 'TrayTip', 'Send', 'SendInput', 'SendRaw', 'SendPlay',
+    'SendEvent', 'Sleep', 'Run', 'RunWait', 'WinActivate', 'WinWait', 'WinWaitActive',
+    'WinClose', 'WinMove', 'WinGet', 'WinGetTitle', 'WinSet', 'ControlSend', 'ControlClick',
+    'ControlGetText', 'Gui', 'GuiControl', 'GuiControlGet', 'SetTimer', 'Menu', 'Hotkey',
+    'FileRead', 'FileAppend', 'FileDelete', 'FileCopy', 'FileMove', 'FileReadLine',
+    'IniRead', 'IniWrite', 'RegRead', 'RegWrite', 'StringReplace', 'StringSplit',
+    'StringLeft', 'StringRight', 'StringMid', 'StringLower', 'StringUpper', 'StringLen',
+    'StringGetPos', 'StringTrimLeft', 'StringTrimRight', 'SplitPath', 'MouseClick',
+    'MouseMove', 'MouseGetPos', 'PixelSearch', 'PixelGetColor', 'ImageSearch', 'Click',
+    'KeyWait', 'Process', 'EnvGet', 'SetFormat', 'Transform', 'SetTitleMatchMode',
+    'CoordMode', 'SetWorkingDir', 'FormatTime', 'Random', 'Loop', 'Sort'
+];
+
+const V1_COMMAND_RE = new RegExp(`^\\s*(?:${V1_COMMANDS.join('|')})\\s*,`, 'i');
+
+/**
+ * Syntax signals
+ * Each pattern is tested per line of comment- and string-stripped code
+ * (raw: true tests the comment-stripped line with strings intact)
+ */
+const V1_SIGNALS = [
+    { id: 'requires-v1', weight: 10, re: /^\s*#Requires\s+AutoHotkey\s+v?1\./i, raw: true, message: '#Requires AutoHotkey v1' },
+    { id: 'v1-command', weight: 2, re: V1_COMMAND_RE, message: 'v1 command syntax' },
+    { id: 'v1-directive', weight: 4, re: /^\s*#(?:NoEnv|CommentFlag|EscapeChar|Delimiter|DerefChar|AllowSameLineComments|MaxMem)\b/i, message: 'directive removed in v2' },
+    { id: 'v1-hotif', weight: 3, re: /^\s*#If(?:WinActive|WinExist|WinNotActive|WinNotExist)?\b/i, message: '#If directive (v2 uses #HotIf)' },
+    { id: 'v1-if-command', weight: 3, re: /^\s*If(?:Equal|NotEqual|Less|Greater|InString|NotInString|Exist|NotExist|WinActive|WinExist|WinNotActive|WinNotExist|MsgBox)\b/i, message: 'legacy If command' },
+    { id: 'v1-sendmode', weight: 2, re: /^\s*(?:SendMode|SetBatchLines|SetKeyDelay)\s+\w/i, message: 'unquoted v1 command argument' },
+    { id: 'v1-legacy-assign', weight: 1, re: /^\s*[A-Za-z_]\w*\s*=\s*[^=\s]/, message: 'legacy "=" assignment' },
+    { id: 'v1-forced-expr', weight: 2, re: /,\s*%\s/, message: 'forced expression "% " argument' },
+    { id: 'v1-deref', weight: 1, re: /%[A-Za-z_]\w*%/, message: '%var% dereference' }
+];
+
+const V2_SIGNALS = [
+    { id: 'requires-v2', weight: 10, re: /^\s*#Requires\s+AutoHotkey\s+(?:>=\s*)?v?2\./i, raw: true, message: '#Requires AutoHotkey v2' },
+    { id: 'v2-hotif', weight: 4, re: /^\s*#HotIf\b/i, message: '#HotIf directive' },
+    { id: 'v2-gui-object', weight: 3, re: /\bGui\s*\(/, message: 'Gui() object' },
+    { id: 'v2-on-event', weight: 3, re: /\.OnEvent\s*\(/, message: '.OnEvent() callback' },
+    { id: 'v2-fat-arrow', weight: 2, re: /\)\s*=>/, message: 'fat arrow function' },
+    { id: 'v2-map', weight: 2, re: /\bMap\s*\(/, message: 'Map() object' },
+    { id: 'v2-call-syntax', weight: 1, re: /^\s*(?:MsgBox|Send|SendInput|Sleep|Run|ToolTip|WinActivate|SetTimer)\s*\(/i, message: 'function call syntax' },
+    { id: 'v2-varref', weight: 1, re: /(?:,|\()\s*&[A-Za-z_]\w*/, message: '&var reference' }
+];
+
+/**
+ * Split source into lines with comments removed
+ * Handles ; line comments (at line start or after whitespace) and
+ * /* ... *\/ block comments
+ */
+function stripComments(content) {
+    const lines = String(content).replace(/\r\n?/g, '\n').split('\n');
+    const result = [];
+    let inBlock = false;
+
+    for (const line of lines) {
+        const trimmed = line.trim();
+
+        if (inBlock) {
+            if (trimmed.startsWith('*/') || trimmed.endsWith('*/')) inBlock = false;
+            result.push('');
+            continue;
+        }
+
+        if (trimmed.startsWith('/*')) {
+            inBlock = !trimmed.endsWith('*/');
+            result.push('');
+            continue;
+        }
+
+        result.push(stripLineComment(line));
+    }
+
+    return result;
+}
+
+/**
+ * Remove a ; comment from one line, ignoring semicolons inside strings
+ */
+function stripLineComment(line) {
+    let quote = null;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch === '`') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === ';' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+
+    return line;
+}
+
+/**
+ * Remove quoted string literals from a line of code
+ */
+function stripStrings(line) {
+    return line.replace(/"(?:[^"`]|`.)*"|'(?:[^'`]|`.)*'/g, '""');
+}
+
+/**
+ * Collect the signals present in one file
+ * Returns { v1, v2, hits } where hits lists { id, line, message, version }
+ */
+function scanSource(content) {
+    const hits = [];
+    let v1 = 0;
+    let v2 = 0;
+
+    stripComments(content).forEach((raw, index) => {
+        if (!raw.trim()) return;
+        const code = stripStrings(raw);
+
+        for (const signal of V1_SIGNALS) {
+            if (signal.re.test(signal.raw ? raw : code)) {
+                v1 += signal.weight;
+                hits.push({ id: signal.id, line: index + 1, message: signal.message, version: 'v1' });
+            }
+        }
+
+        for (const signal of V2_SIGNALS) {
+            if (signal.re.test(signal.raw ? raw : code)) {
+                v2 += signal.weight;
+                hits.push({ id: signal.id, line: index + 1, message: signal.message, version: 'v2' });
+            }
+        }
+    });
+
+    return { v1, v2, hits };
+}
+
+/**
+ * Signals from the file tree alone (extensions used only by v2 projects)
+ */
+function scanTree(paths) {
+    const v2Files = paths.filter(p => /\.(?:ah2|ahk2)$/i.test(p));
+    return {
+        v1: 0,
+        v2: v2Files.length > 0 ? 6 : 0,
+        hits: v2Files.slice(0, 1).map(p => ({ id: 'v2-extension', line: 0, message: `v2 file extension (${p})`, version: 'v2' }))
+    };
+}
+
+/**
+ * Pick the main .ahk files of a repository from its file tree
+ * Prefers files named after the repo, then entry-point names, then shallow paths
+ */
+function selectMainFiles(paths, repoName = '', limit = MAX_FILES) {
+    const base = repoName.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    const score = (p) => {
+        const name = path.posix.basename(p).replace(/\.\w+$/, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        let s = -p.split('/').length;
+        if (base && name === base) s += 10;
+        if (/^(main|app|index|lib|init)$/.test(name)) s += 5;
+        if (/(^|\/)(test|tests|example|examples|demo)s?\//i.test(p)) s -= 3;
+        if (/(^|\/)v1\//i.test(p)) s -= 2;
+        return s;
+    };
+
+    return paths
+        .filter(p => /\.(?:ahk|ah2|ahk2)$/i.test(p))
+        .sort((a, b) => score(b) - score(a) || a.localeCompare(b))
+        .slice(0, limit);
+}
+
+/**
+ * Detect the AutoHotkey version of a set of files
+ *
+ * files: [{ path, content }] (content may be omitted for tree-only entries)
+ * Returns { ahkVersion: 'v1'|'v2'|'mixed'|'unknown', confidence: 0..1, signals }
+ */
+function detectAhkVersion(files) {
+    const tree = scanTree(files.map(f => f.path || ''));
+    let v1 = tree.v1;
+    let v2 = tree.v2;
+    const signals = [...tree.hits];
+
+    for (const file of files) {
+        if (typeof file.content !== 'string') continue;
+        const result = scanSource(file.content);
+        v1 += result.v1;
+        v2 += result.v2;
+        signals.push(...result.hits.map(hit => ({ ...hit, path: file.path })));
+    }
+
+    const total = v1 + v2;
+    if (total === 0) {
+        return { ahkVersion: 'unknown', confidence: 0, signals };
+    }
+
+    const ratio = v2 / total;
+    const strength = Math.min(1, total / FULL_EVIDENCE);
+    let ahkVersion;
+    let certainty;
+
+    if (ratio >= 0.8) {
+        ahkVersion = 'v2';
+        certainty = ratio;
+    } else if (ratio <= 0.2) {
+        ahkVersion = 'v1';
+        certainty = 1 - ratio;
+    } else {
+        ahkVersion = 'mixed';
+        certainty = 1 - Math.abs(ratio - 0.5);
+    }
+
+    return {
+        ahkVersion,
+        confidence: Math.round(strength * certainty * 100) / 100,
+        signals
+    };
+}
+
+/**
+ * Detect the version of a local directory (e.g. test fixtures)
+ */
+function detectFromDirectory(dir, repoName = path.basename(dir)) {
+    const paths = [];
+
+    const walk = (current) => {
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+            if (entry.name.startsWith('.')) continue;
+            const full = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                walk(full);
+            } else {
+                paths.push(path.relative(dir, full).split(path.sep).join('/'));
+            }
+        }
+    };
+    walk(dir);
+
+    const selected = new Set(selectMainFiles(paths, repoName));
+    const files = paths.map(p => ({
+        path: p,
+        content: selected.has(p) ? fs.readFileSync(path.join(dir, p), 'utf8') : undefined
+    }));
+
+    return detectAhkVersion(files);
+}
+
+/**
+ * Whether an entry is confidently v1-only
+ */
+function isConfirmedV1(entry) {
+    return entry.ahkVersion === 'v1' && (entry.ahkVersionConfidence || 0) >= CONFIRMED_CONFIDENCE;
+}
+
+module.exports = {
+    CONFIRMED_CONFIDENCE,
+    V1_SIGNALS,
+    V2_SIGNALS,
+    stripComments,
+    stripStrings,
+    scanSource,
+    selectMainFiles,
+    detectAhkVersion,
+    detectFromDirectory,
+    isConfirmedV1
+};
@@ -10,33 +10,207 @@
  * Usage:
  *   node scripts/build.js [options]
  *
- * Options:
+ * Options (defined in OPTIONS below, which also generates --help):
+ *   --config FILE Config file with named search queries
+ *                 (default: ahk-feed.config.json, see feed-config.js)
+ *   --manifest FILE  Manifest to read and update
+ *   --out DIR     Output directory for exports (default: dist)
+ *   --limit N     Maximum repos to fetch per query ("all" for no limit)
+ *   --query Q     Fetch with this search query instead of the configured ones
+ *   --dry-run     Report manifest changes without saving them
+ *   --verbose     Show debug output
+ *   --record DIR  Save GitHub API responses to DIR as fixtures
+ *   --replay DIR  Answer GitHub API requests from the fixtures in DIR,
+ *                 without network access (see github-transport.js)
+ *   --now DATE    Build as if it were DATE (ISO 8601); --record pins the
+ *                 clock to its start and --replay to the recording time
  *   --fetch       Fetch new scripts from GitHub
- *   --validate    Validate existing scripts
- *   --stats       Show collection statistics
- *   --export      Export to different formats
+ *   --prune       Re-check GitHub entries: follow renames, flag archived
+ *                 repos and tombstone removed ones
+ *   --classify    Assign categories and difficulties to GitHub entries
+ *                 (also runs after --fetch)
+ *   --dedupe      Report clusters of near-duplicate scripts (see dedupe.js);
+ *                 --link-duplicates records duplicateOf links,
+ *                 --dedupe-threshold N sets the minimum similarity
+ *   --validate    Validate existing scripts against ahk-scripts.schema.json
+ *   --lint        Lint script code bodies for v1 syntax and structure
+ *   --strict      With --validate/--lint, exit non-zero on errors
+ *   --stats       Show collection statistics and append a snapshot to
+ *                 stats-history.json (see collection-stats.js)
+ *   --format F    With --stats, print text (default), json, markdown or
+ *                 html; log output then goes to stderr
+ *   --export      Export JSON, snapshot, feeds, post pages and .ahk files
+ *   --dataset     Export curated scripts as JSONL eval records
+ *                 (filter with --category NAME and --difficulty LEVEL,
+ *                 split with --test-ratio N)
+ *   --score DIR   Score model outputs (DIR/<model>/<id>.ahk) against the
+ *                 reference code and write the leaderboard results
+ *   --import DIR  Add or update curated scripts from the .ahk files in
+ *                 DIR, read from their header comments (script-import.js)
+ *   --detect DIR  Detect the AHK version of a local directory
+ *   --excerpt DIR Show the code excerpt a local repo checkout would get
+ *   --diff OLD NEW  Report the changes between two manifest files
+ *   --all         Run fetch, prune, classify, validate, lint, stats,
+ *                 export and dataset
  *   --help        Show help message
  *
+ * Unknown options are errors. Settings are taken from, in order: the
+ * command line, environment variables, the config file, the defaults.
+ *
+ * require('./build') runs nothing; it exports the build steps (see the end
+ * of this file) for scripts and CI jobs that drive the pipeline directly.
+ *
  * Environment Variables:
  *   GITHUB_TOKEN          GitHub API token for higher rate limits
- *   AHK_FEED_LIMIT        Maximum number of repos to fetch (default: 50)
- *   AHK_SEARCH_QUERY      Custom search query for GitHub
+ *   AHK_FEED_LIMIT        Maximum number of repos to fetch per query
+ *                         (default: 50, "all" for every search result)
+ *   AHK_SEARCH_QUERY      Raw search query overriding the configured ones
+ *   AHK_GITHUB_API        GitHub API base URL (default: https://api.github.com),
+ *                         e.g. a local stand-in server
+ *   AHK_KEEP_V1           Keep repos detected as confirmed v1 (default: false)
+ *   AHK_HTTP_TIMEOUT      Request timeout in ms (default: 30000)
+ *   AHK_HTTP_RETRIES      Retries for transient failures (default: 4)
+ *   AHK_RATE_LIMIT_WAIT   Longest rate-limit wait in ms (default: 900000)
+ *   AHK_SITE_URL          Site base URL for feed links
  */
 
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
 const https = require('https');
+const { AHK_REPO_SEARCH, buildSearchQuery } = require('./search-query');
+const { detectAhkVersion, detectFromDirectory, selectMainFiles, isConfirmedV1 } = require('./ahk-version');
+const { validateManifest, loadSchema } = require('./manifest-validator');
+const { lintAhk } = require('./ahk-lint');
+const { buildFeedEntries, renderAtom, renderRss, renderJsonFeed } = require('./feeds');
+const { buildScriptFiles, scriptFilePath } = require('./script-export');
+const { readScriptFiles } = require('./script-import');
+const { createZip } = require('./zip-archive');
+const { DEFAULT_TEST_RATIO, buildEvalRecords, toJsonl } = require('./eval-dataset');
+const { loadModelOutputs, scoreModels } = require('./eval-score');
+const { renderPostPage, renderSitemap } = require('./post-pages');
+const { buildSearchIndex } = require('./search-index');
+const { collectExcerpts, pickSourceFile, repoCodeFields, isBoilerplateCode, excerptFromDirectory, renderRepoCode } = require('./repo-excerpt');
+const { UNCLASSIFIED_CATEGORY, classifyManifest, validateOverrides } = require('./classify');
+const { parseArgs, renderOptionsHelp } = require('./cli-options');
+const { liveTransport, recordTransport, replayTransport, recordingTime } = require('./github-transport');
+const { DEFAULT_THRESHOLD, findDuplicates, applyDuplicateLinks } = require('./dedupe');
+const { computeStats, statsSnapshot, appendSnapshot, renderStatsMarkdown, renderStatsHtml } = require('./collection-stats');
+const { isLimit, loadFeedConfig } = require('./feed-config');
+const { diffManifests, hasChanges, bumpVersion, changelogEntry, renderDiffReport } = require('./manifest-diff');
+
+// GitHub search returns at most 1000 results per query, 100 per page
+const SEARCH_RESULT_CAP = 1000;
+const SEARCH_PAGE_SIZE = 100;
+
+// Oldest date used when splitting a search into created: windows
+const SEARCH_EPOCH = '2008-01-01';
+
+// Where the site publishes exports; public URLs of an output directory
+// outside the site (e.g. --out /tmp/preview) point here
+const PUBLISHED_OUTPUT = 'dist';
+
+/**
+ * Parse a repo limit from --limit, AHK_FEED_LIMIT or the config file
+ * ("all" means no limit). Throws on anything else.
+ */
+function parseFeedLimit(value, source) {
+    const limit = typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : value;
+    if (!isLimit(typeof limit === 'string' ? limit.toLowerCase() : limit)) {
+        throw new Error(`${source} must be a positive integer or "all", got "${value}"`);
+    }
+    return typeof limit === 'string' ? Infinity : limit;
+}
+
+/**
+ * Parse AHK_HTTP_RETRIES (0 disables retries)
+ */
+function parseRetries(value) {
+    const retries = parseInt(value, 10);
+    return Number.isInteger(retries) && retries >= 0 ? retries : 4;
+}
 
 // Configuration
 const CONFIG = {
+    configPath: path.join(__dirname, '..', 'ahk-feed.config.json'),
     manifestPath: path.join(__dirname, 'ahk-scripts.json'),
+    // Kept next to the manifest (see configure())
+    changelogPath: path.join(__dirname, 'CHANGELOG.json'),
+    statsHistoryPath: path.join(__dirname, 'stats-history.json'),
+    overridesPath: path.join(__dirname, 'classification-overrides.json'),
+    postsPath: path.join(__dirname, '..', 'posts', 'posts.json'),
+    // Repository root, served as the site
+    siteRoot: path.join(__dirname, '..'),
+    // The sitemap must sit at the site root to cover pages outside dist/;
+    // it is only written when the output directory is part of the site
+    sitemapPath: path.join(__dirname, '..', 'sitemap.xml'),
     outputDir: path.join(__dirname, '..', 'dist'),
-    githubApiBase: 'api.github.com',
-    searchQuery: process.env.AHK_SEARCH_QUERY || 'autohotkey v2 language:AutoHotkey',
-    feedLimit: parseInt(process.env.AHK_FEED_LIMIT, 10) || 50,
-    githubToken: process.env.GITHUB_TOKEN || null
+    // --score results are committed and served with the site, unlike dist/
+    evalResultsDir: path.join(__dirname, '..', 'eval'),
+    // Any http(s) URL works, e.g. a local stand-in server
+    githubApiBase: process.env.AHK_GITHUB_API || 'https://api.github.com',
+    // (apiPath, send) => response; see github-transport.js
+    transport: liveTransport,
+    // Clock for every date the build writes; pinned by --now, --record
+    // and --replay
+    now: () => new Date(),
+    // Named search queries: [{ name, query, limit, category, tags }]
+    queries: [{ name: 'ahk-v2', query: buildSearchQuery(AHK_REPO_SEARCH) }],
+    feedLimit: 50,
+    snapshotLimit: 50,
+    siteUrl: process.env.AHK_SITE_URL || 'https://012090120901209.github.io/AHKv2_LLMs',
+    feedItemLimit: 50,
+    githubToken: process.env.GITHUB_TOKEN || null,
+    keepV1: process.env.AHK_KEEP_V1 === 'true',
+    httpTimeout: parseInt(process.env.AHK_HTTP_TIMEOUT, 10) || 30000,
+    httpRetries: parseRetries(process.env.AHK_HTTP_RETRIES),
+    retryBaseDelay: 1000,
+    rateLimitMaxWait: parseInt(process.env.AHK_RATE_LIMIT_WAIT, 10) || 900000,
+    dryRun: false,
+    verbose: false,
+    // Send log output to stderr, keeping stdout for a machine-readable report
+    logToStderr: false
 };
 
+const STATS_FORMATS = ['text', 'json', 'markdown', 'html'];
+
+// Command-line options; --help is generated from these
+const OPTIONS = [
+    { name: 'config', type: 'string', arg: 'FILE', description: 'Config file with named search queries (default: ahk-feed.config.json)' },
+    { name: 'manifest', type: 'string', arg: 'FILE', description: 'Manifest to read and update (default: scripts/ahk-scripts.json)' },
+    { name: 'out', type: 'string', arg: 'DIR', description: 'Output directory for exports (default: dist)' },
+    { name: 'limit', type: 'string', arg: 'N', description: 'Maximum repos to fetch per query (default: 50, "all" for no limit)' },
+    { name: 'query', type: 'string', arg: 'QUERY', description: 'Fetch with this search query instead of the configured ones' },
+    { name: 'dry-run', description: 'Report manifest changes without saving them' },
+    { name: 'verbose', description: 'Show debug output (requests, config, written files)' },
+    { name: 'record', type: 'string', arg: 'DIR', description: 'Save every GitHub API response to DIR as a fixture' },
+    { name: 'replay', type: 'string', arg: 'DIR', description: 'Answer GitHub API requests from fixtures in DIR (offline)' },
+    { name: 'now', type: 'string', arg: 'DATE', description: 'Build as if it were DATE (default: the recording time with --replay)' },
+    { name: 'fetch', description: 'Fetch new scripts from GitHub' },
+    { name: 'prune', description: 'Re-check GitHub entries (renames, archived, removed repos)' },
+    { name: 'classify', description: 'Classify GitHub entries by category and difficulty (runs after --fetch)' },
+    { name: 'dedupe', description: 'Report clusters of near-duplicate scripts' },
+    { name: 'dedupe-threshold', type: 'number', arg: 'N', description: `With --dedupe, minimum similarity from 0 to 1 (default: ${DEFAULT_THRESHOLD})` },
+    { name: 'link-duplicates', description: 'With --dedupe, record duplicateOf links in the manifest' },
+    { name: 'validate', description: 'Validate existing scripts against the manifest schema' },
+    { name: 'lint', description: 'Lint script code for v1 syntax and structural errors' },
+    { name: 'strict', description: 'With --validate/--lint, exit non-zero on errors' },
+    { name: 'stats', description: 'Show collection statistics and record them in stats-history.json' },
+    { name: 'format', type: 'string', arg: 'FORMAT', description: `With --stats, print ${STATS_FORMATS.join(', ')} (default: text)` },
+    { name: 'export', description: 'Export JSON, snapshot, feeds, post pages and .ahk files' },
+    { name: 'dataset', description: 'Export curated scripts as JSONL eval records' },
+    { name: 'category', type: 'string', arg: 'NAME', multiple: true, description: 'With --dataset, only this category (repeatable, or comma-separated)' },
+    { name: 'difficulty', type: 'string', arg: 'LEVEL', multiple: true, description: 'With --dataset, only this difficulty (repeatable, or comma-separated)' },
+    { name: 'test-ratio', type: 'number', arg: 'N', description: `With --dataset, share of ids in the test split (default: ${DEFAULT_TEST_RATIO})` },
+    { name: 'score', type: 'string', arg: 'DIR', description: 'Score model outputs in DIR/<model>/<id>.ahk for the leaderboard' },
+    { name: 'import', type: 'string', arg: 'DIR', description: 'Add or update curated scripts from the .ahk files in DIR' },
+    { name: 'detect', type: 'string', arg: 'DIR', description: 'Detect the AHK version of a local directory' },
+    { name: 'excerpt', type: 'string', arg: 'DIR', description: 'Show the code excerpt generated for a local repo checkout' },
+    { name: 'diff', type: 'string', arg: 'OLD NEW', arity: 2, description: 'Report added, updated and removed entries between two manifests' },
+    { name: 'all', description: 'Run all tasks (fetch, prune, classify, validate, lint, stats, export, dataset)' },
+    { name: 'help', description: 'Show this help message' }
+];
+
 // ANSI color codes for terminal output
 const colors = {
     reset: '\x1b[0m',
@@ -56,17 +230,113 @@ function log(message, type = 'info') {
         info: `${colors.cyan}[INFO]${colors.reset}`,
         success: `${colors.green}[SUCCESS]${colors.reset}`,
         warn: `${colors.yellow}[WARN]${colors.reset}`,
-        error: `${colors.red}[ERROR]${colors.reset}`
+        error: `${colors.red}[ERROR]${colors.reset}`,
+        debug: `${colors.dim}[DEBUG]${colors.reset}`
     };
-    console.log(`${prefix[type] || prefix.info} ${message}`);
+    if (type === 'debug' && !CONFIG.verbose) return;
+    (CONFIG.logToStderr ? console.error : console.log)(`${prefix[type] || prefix.info} ${message}`);
+}
+
+/**
+ * Make an HTTP(S) request, retrying transient failures
+ *
+ * Network errors, timeouts, 5xx and 429 responses are retried with
+ * exponential backoff and jitter. Rate-limited responses wait for
+ * Retry-After or X-RateLimit-Reset instead, as long as the wait stays under
+ * CONFIG.rateLimitMaxWait. The last response is returned once retries run
+ * out, so callers still see the final status.
+ */
+async function httpsRequest(options, postData = null) {
+    for (let attempt = 0; ; attempt++) {
+        let response;
+
+        try {
+            response = await httpsRequestOnce(options, postData);
+        } catch (error) {
+            if (attempt >= CONFIG.httpRetries) throw error;
+            const delay = backoffDelay(attempt);
+            log(`${options.path}: ${error.message}, retrying in ${formatDelay(delay)}`, 'warn');
+            await sleep(delay);
+            continue;
+        }
+
+        const delay = retryDelay(response, attempt);
+        if (delay === null || attempt >= CONFIG.httpRetries) {
+            return response;
+        }
+
+        if (delay > CONFIG.rateLimitMaxWait) {
+            log(`Rate limit resets in ${formatDelay(delay)}, longer than the ${formatDelay(CONFIG.rateLimitMaxWait)} maximum wait`, 'warn');
+            return response;
+        }
+
+        log(`${options.path}: status ${response.status}, retrying in ${formatDelay(delay)}`, 'warn');
+        await sleep(delay);
+    }
+}
+
+/**
+ * Decide whether a response should be retried and after how long
+ * Returns the delay in ms, or null when the response is final
+ */
+function retryDelay(response, attempt) {
+    const headers = response.headers || {};
+    const retryAfter = parseInt(headers['retry-after'], 10);
+
+    // Secondary rate limits and 429s name their own wait
+    if ((response.status === 403 || response.status === 429) && Number.isFinite(retryAfter)) {
+        return retryAfter * 1000;
+    }
+
+    // Primary rate limit: wait for the quota window to reset
+    if ((response.status === 403 || response.status === 429) && headers['x-ratelimit-remaining'] === '0') {
+        const reset = parseInt(headers['x-ratelimit-reset'], 10) * 1000;
+        return Number.isFinite(reset) ? Math.max(reset - Date.now(), 0) + 1000 : backoffDelay(attempt);
+    }
+
+    // Secondary rate limit without Retry-After: GitHub asks for at least a minute
+    const message = response.data && typeof response.data === 'object' ? String(response.data.message || '') : '';
+    if (response.status === 403 && /secondary rate limit|abuse/i.test(message)) {
+        return 60000 * Math.pow(2, attempt);
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+        return backoffDelay(attempt);
+    }
+
+    return null;
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function backoffDelay(attempt) {
+    const max = CONFIG.retryBaseDelay * Math.pow(2, attempt);
+    return Math.round(max / 2 + Math.random() * max / 2);
+}
+
+/**
+ * Wait for the given number of ms
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
- * Make an HTTPS request
+ * Format a delay for log output
  */
-function httpsRequest(options, postData = null) {
+function formatDelay(ms) {
+    return ms >= 60000 ? `${Math.ceil(ms / 60000)} min` : `${Math.ceil(ms / 1000)}s`;
+}
+
+/**
+ * Make a single HTTP(S) request with a timeout
+ */
+function httpsRequestOnce(options, postData = null) {
+    const client = options.protocol === 'http:' ? http : https;
+
     return new Promise((resolve, reject) => {
-        const req = https.request(options, (res) => {
+        const req = client.request(options, (res) => {
             let data = '';
             res.on('data', chunk => data += chunk);
             res.on('end', () => {
@@ -86,6 +356,9 @@ function httpsRequest(options, postData = null) {
             });
         });
 
+        req.setTimeout(CONFIG.httpTimeout, () => {
+            req.destroy(new Error(`Request timed out after ${CONFIG.httpTimeout}ms`));
+        });
         req.on('error', reject);
         if (postData) req.write(postData);
         req.end();
@@ -93,15 +366,17 @@ function httpsRequest(options, postData = null) {
 }
 
 /**
- * Fetch repositories from GitHub API
+ * Make a GET request against the GitHub API
+ * apiPath is relative to CONFIG.githubApiBase; the request goes through
+ * CONFIG.transport, which may record it or answer it from fixtures
  */
-async function fetchGitHubRepos() {
-    log('Fetching AHK v2 repositories from GitHub...');
-
-    const query = encodeURIComponent(CONFIG.searchQuery);
+function githubRequest(apiPath) {
+    const base = new URL(CONFIG.githubApiBase);
     const options = {
-        hostname: CONFIG.githubApiBase,
-        path: `/search/repositories?q=${query}&sort=updated&per_page=${CONFIG.feedLimit}`,
+        protocol: base.protocol,
+        hostname: base.hostname,
+        port: base.port || undefined,
+        path: apiBasePath() + apiPath,
         method: 'GET',
         headers: {
             'User-Agent': 'AHKv2-LLMs-BuildScript',
@@ -111,103 +386,383 @@ async function fetchGitHubRepos() {
 
     if (CONFIG.githubToken) {
         options.headers['Authorization'] = `token ${CONFIG.githubToken}`;
-        log('Using GitHub token for authentication', 'info');
     }
 
+    log(`GET ${apiPath}`, 'debug');
+    return CONFIG.transport(apiPath, () => httpsRequest(options));
+}
+
+/**
+ * Path prefix of CONFIG.githubApiBase without the trailing slash
+ * ('' for api.github.com, '/api/v3' for GitHub Enterprise)
+ */
+function apiBasePath() {
+    return new URL(CONFIG.githubApiBase).pathname.replace(/\/+$/, '');
+}
+
+/**
+ * Parse a --now date. Throws on anything that is not a date.
+ */
+function parseBuildDate(value, source) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`${source} must be an ISO 8601 date, got "${value}"`);
+    }
+    return date;
+}
+
+/**
+ * A clock that always reads date
+ */
+function pinnedClock(date) {
+    const time = date.getTime();
+    return () => new Date(time);
+}
+
+/**
+ * Check an API base URL from AHK_GITHUB_API or the config file
+ */
+function parseApiBase(value, source) {
+    let url;
     try {
-        const response = await httpsRequest(options);
+        url = new URL(value);
+    } catch (error) {
+        url = null;
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        throw new Error(`${source} must be an http(s) URL, got "${value}"`);
+    }
+    return value;
+}
+
+/**
+ * Fetch repositories from GitHub API
+ * Runs each configured search query; a repo found by several queries
+ * belongs to the first. Pass the current manifest to reuse version
+ * detection for unchanged repos.
+ * Throws when a search still fails after retries, so the build exits
+ * non-zero instead of quietly doing nothing.
+ */
+async function fetchGitHubRepos(manifest = null) {
+    log('Fetching AHK v2 repositories from GitHub...');
+
+    if (CONFIG.githubToken) {
+        log('Using GitHub token for authentication', 'info');
+    }
 
-        if (response.status === 403) {
-            log('GitHub API rate limit reached. Try again later or use a token.', 'warn');
-            return [];
+    const collected = new Map();
+    const foundBy = new Map();
+
+    for (const query of CONFIG.queries) {
+        const limit = query.limit === undefined ? CONFIG.feedLimit : query.limit;
+        const results = new Map();
+        log(`Search query "${query.name}": ${query.query}`, 'info');
+
+        try {
+            await collectSearchResults(query.query, results, limit);
+        } catch (error) {
+            if (error.status === 403) {
+                log('GitHub API rate limit reached. Try again later or use a token.', 'error');
+            }
+            throw new Error(`Error fetching from GitHub: ${error.message}`);
         }
 
-        if (response.status !== 200) {
-            log(`GitHub API returned status ${response.status}`, 'error');
-            return [];
-        }
-
-        const repos = response.data.items || [];
-        log(`Fetched ${repos.length} repositories`, 'success');
-
-        return repos.map(repo => ({
-            id: `github-${repo.id}`,
-            title: repo.name,
-            category: 'GitHub Repository',
-            description: repo.description || 'No description available',
-            tags: ['github', 'repository', ...(repo.topics || [])].slice(0, 8),
-            difficulty: 'varies',
-            dateAdded: repo.created_at,
-            lastModified: repo.updated_at,
-            source: 'github',
-            url: repo.html_url,
-            stars: repo.stargazers_count,
-            forks: repo.forks_count,
-            owner: repo.owner.login,
-            code: generateRepoCodeBlock(repo)
-        }));
-    } catch (error) {
-        log(`Error fetching from GitHub: ${error.message}`, 'error');
-        return [];
+        const sorted = [...results.values()]
+            .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+            .slice(0, limit);
+        for (const repo of sorted) {
+            if (collected.has(repo.id)) continue;
+            collected.set(repo.id, repo);
+            foundBy.set(repo.id, query);
+        }
+    }
+
+    const repos = [...collected.values()].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+    log(`Fetched ${repos.length} repositories`, 'success');
+
+    const inspected = await inspectRepos(repos, manifest);
+
+    const scripts = repos.map(repo => applyRepoCode({
+        id: `github-${repo.id}`,
+        title: repo.name,
+        category: foundBy.get(repo.id).category || UNCLASSIFIED_CATEGORY,
+        description: repo.description || 'No description available',
+        tags: [...new Set(['github', 'repository', ...(foundBy.get(repo.id).tags || []), ...(repo.topics || [])])].slice(0, 8),
+        difficulty: 'varies',
+        dateAdded: repo.created_at,
+        lastModified: repo.updated_at,
+        source: 'github',
+        url: repo.html_url,
+        stars: repo.stargazers_count,
+        forks: repo.forks_count,
+        owner: repo.owner.login,
+        searchQuery: foundBy.get(repo.id).name,
+        ahkVersion: inspected.get(repo.id).ahkVersion,
+        ahkVersionConfidence: inspected.get(repo.id).confidence
+    }, inspected.get(repo.id)));
+
+    if (CONFIG.keepV1) return scripts;
+
+    const kept = scripts.filter(s => !isConfirmedV1(s));
+    if (kept.length < scripts.length) {
+        log(`Skipped ${scripts.length - kept.length} confirmed AHK v1 repositories`, 'info');
+    }
+    return kept;
+}
+
+/**
+ * Collect search results into a Map keyed by repo id, up to limit
+ *
+ * Pages are followed through the Link header. When the search has more
+ * than 1000 results (the search API ceiling) and the limit asks for more,
+ * the query is re-run in created: date windows, newest first.
+ */
+async function collectSearchResults(query, collected, limit) {
+    const totalCount = await searchPages(query, collected, limit);
+
+    if (totalCount > SEARCH_RESULT_CAP && collected.size < limit) {
+        log(`${totalCount} results exceed the search limit of ${SEARCH_RESULT_CAP}, splitting by creation date`, 'info');
+        await searchDateWindow(query, collected, limit, new Date(SEARCH_EPOCH), CONFIG.now());
+    }
+}
+
+/**
+ * Search one created: window, halving it while it holds more than 1000 results
+ */
+async function searchDateWindow(query, collected, limit, from, to) {
+    if (collected.size >= limit) return;
+
+    const day = 24 * 60 * 60 * 1000;
+    const windowQuery = `${query} created:${formatDay(from)}..${formatDay(to)}`;
+    const first = await searchPage(`/search/repositories?q=${encodeURIComponent(windowQuery)}&sort=updated&per_page=${SEARCH_PAGE_SIZE}`);
+
+    const span = Math.round((to - from) / day);
+    if (first.totalCount > SEARCH_RESULT_CAP && span > 0) {
+        const mid = new Date(from.getTime() + Math.floor(span / 2) * day);
+        await searchDateWindow(query, collected, limit, new Date(mid.getTime() + day), to);
+        await searchDateWindow(query, collected, limit, from, mid);
+        return;
     }
+
+    addSearchItems(collected, first.items, limit);
+    if (first.totalCount > SEARCH_RESULT_CAP) {
+        log(`Window ${formatDay(from)} still has ${first.totalCount} results; only the first ${SEARCH_RESULT_CAP} are reachable`, 'warn');
+    }
+    await searchPages(windowQuery, collected, limit, first.next);
+}
+
+/**
+ * Follow a search through its Link headers
+ * Starts from the first page, or from nextPath when a page was already read.
+ * Returns the total_count reported by the API.
+ */
+async function searchPages(query, collected, limit, nextPath) {
+    let apiPath = nextPath === undefined
+        ? `/search/repositories?q=${encodeURIComponent(query)}&sort=updated&per_page=${Math.min(SEARCH_PAGE_SIZE, limit)}`
+        : nextPath;
+    let totalCount = 0;
+
+    while (apiPath && collected.size < limit) {
+        const page = await searchPage(apiPath);
+        totalCount = page.totalCount;
+        addSearchItems(collected, page.items, limit);
+
+        const target = Number.isFinite(limit) ? Math.min(limit, totalCount) : totalCount;
+        log(`  ${collected.size}/${target} repositories collected`, 'info');
+        apiPath = page.next;
+    }
+
+    return totalCount;
+}
+
+/**
+ * Fetch one search page
+ * Throws an Error with a status property on non-200 responses
+ */
+async function searchPage(apiPath) {
+    const response = await githubRequest(apiPath);
+
+    if (response.status !== 200) {
+        const error = new Error(`GitHub API returned status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return {
+        items: response.data.items || [],
+        totalCount: response.data.total_count || 0,
+        next: parseNextLink(response.headers.link)
+    };
+}
+
+/**
+ * Add search items to the collection, skipping duplicates and stopping at limit
+ */
+function addSearchItems(collected, items, limit) {
+    for (const item of items) {
+        if (collected.size >= limit) break;
+        if (!collected.has(item.id)) collected.set(item.id, item);
+    }
+}
+
+/**
+ * Extract the API path of the rel="next" URL from a Link header
+ */
+function parseNextLink(header) {
+    if (!header) return null;
+
+    const match = header.split(',').map(part => part.match(/<([^>]+)>;\s*rel="next"/)).find(Boolean);
+    if (!match) return null;
+
+    const url = new URL(match[1]);
+    const prefix = apiBasePath();
+    const pathname = prefix && url.pathname.startsWith(prefix + '/') ? url.pathname.slice(prefix.length) : url.pathname;
+    return pathname + url.search;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ */
+function formatDay(date) {
+    return date.toISOString().slice(0, 10);
 }
 
 /**
- * Generate a code block for a repository
+ * Inspect each repository: detect its AHK version and excerpt its code
+ * Reads the file tree, the main .ahk files and the README; repos unchanged
+ * since the last build keep their previous result unless their code is
+ * still the old generated template. Returns a Map of repo id to
+ * { ahkVersion, confidence, code, license, sourceUrl }.
  */
-function generateRepoCodeBlock(repo) {
-    return `\`\`\`cpp
-; ============================================
-; Repository: ${repo.full_name}
-; ============================================
-; URL: ${repo.html_url}
-; Stars: ${repo.stargazers_count} | Forks: ${repo.forks_count}
-; Last Updated: ${new Date(repo.updated_at).toLocaleDateString()}
-; License: ${repo.license ? repo.license.name : 'Not specified'}
-;
-; Description:
-; ${(repo.description || 'No description available').replace(/\n/g, '\n; ')}
-;
-; ============================================
-; INSTALLATION
-; ============================================
-; Option 1: Clone the repository
-;   git clone ${repo.clone_url}
-;
-; Option 2: Download ZIP
-;   ${repo.html_url}/archive/refs/heads/${repo.default_branch || 'main'}.zip
-;
-; ============================================
-; USAGE EXAMPLE
-; ============================================
-#Requires AutoHotkey v2.0
+async function inspectRepos(repos, manifest) {
+    const previous = new Map(
+        (manifest ? manifest.scripts : [])
+            .filter(s => s.source === 'github' && s.ahkVersion)
+            .map(s => [s.id, s])
+    );
+    const versions = new Map();
+    let detected = 0;
 
-; Include the library (adjust path as needed)
-; #Include <${repo.name}>
+    for (const repo of repos) {
+        const existing = previous.get(`github-${repo.id}`);
+        if (existing && existing.lastModified === repo.updated_at && !isBoilerplateCode(existing.code)) {
+            versions.set(repo.id, {
+                ahkVersion: existing.ahkVersion,
+                confidence: existing.ahkVersionConfidence || 0,
+                code: existing.code,
+                license: existing.license || null,
+                sourceUrl: existing.sourceUrl || null
+            });
+            continue;
+        }
+
+        versions.set(repo.id, await inspectRepo(repo));
+        detected++;
+    }
 
-; Example initialization
-class ${toPascalCase(repo.name)}Example {
-    __New() {
-        ; Initialize the library
-        ; Refer to repository README for specific usage
-        MsgBox("${repo.name} loaded successfully!")
+    const counts = {};
+    for (const { ahkVersion } of versions.values()) {
+        counts[ahkVersion] = (counts[ahkVersion] || 0) + 1;
     }
+    log(`Inspected ${detected} repositories (AHK versions: ${Object.entries(counts).map(([v, n]) => `${v}: ${n}`).join(', ')})`, 'info');
+
+    return versions;
 }
 
-; Uncomment to run:
-; app := ${toPascalCase(repo.name)}Example()
-\`\`\``;
+/**
+ * Inspect one repository
+ * Detects the AHK version from the tree and main files, and excerpts the
+ * primary .ahk file and the README's usage example
+ */
+async function inspectRepo(repo) {
+    const branch = encodeURIComponent(repo.default_branch || 'main');
+    const unknown = { ahkVersion: 'unknown', confidence: 0, ...repoCodeFields(repo) };
+
+    try {
+        const tree = await githubRequest(`/repos/${repo.full_name}/git/trees/${branch}?recursive=1`);
+        if (tree.status !== 200 || !Array.isArray(tree.data.tree)) {
+            return unknown;
+        }
+
+        const paths = tree.data.tree.filter(entry => entry.type === 'blob').map(entry => entry.path);
+        const selected = selectMainFiles(paths, repo.name);
+        const contents = new Map();
+
+        for (const filePath of selected) {
+            const apiPath = `/repos/${repo.full_name}/contents/${filePath.split('/').map(encodeURIComponent).join('/')}?ref=${branch}`;
+            const file = await githubRequest(apiPath);
+            if (file.status === 200 && file.data.encoding === 'base64') {
+                contents.set(filePath, Buffer.from(file.data.content, 'base64').toString('utf8'));
+            }
+        }
+
+        const { ahkVersion, confidence } = detectAhkVersion(
+            paths.map(p => ({ path: p, content: contents.get(p) }))
+        );
+
+        const readme = await githubRequest(`/repos/${repo.full_name}/readme?ref=${branch}`);
+        const hasReadme = readme.status === 200 && readme.data.encoding === 'base64';
+        const source = pickSourceFile(selected.map(p => ({ path: p, content: contents.get(p) })));
+        const excerpts = collectExcerpts({
+            sourcePath: source ? source.path : null,
+            sourceContent: source ? source.content : null,
+            readmePath: hasReadme ? readme.data.path : null,
+            readmeContent: hasReadme ? Buffer.from(readme.data.content, 'base64').toString('utf8') : null
+        });
+
+        return { ahkVersion, confidence, ...repoCodeFields(repo, excerpts) };
+    } catch (error) {
+        // A replay missing a fixture must fail rather than change the output
+        if (error.code === 'ENOFIXTURE') throw error;
+        log(`Inspecting ${repo.full_name} failed: ${error.message}`, 'warn');
+        return unknown;
+    }
 }
 
 /**
- * Convert string to PascalCase
+ * Set a GitHub entry's code, license and sourceUrl from inspectRepo()
  */
-function toPascalCase(str) {
-    return str
-        .replace(/[-_]/g, ' ')
-        .split(' ')
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-        .join('');
+function applyRepoCode(script, inspected) {
+    script.code = inspected.code;
+    for (const field of ['license', 'sourceUrl']) {
+        if (inspected[field]) script[field] = inspected[field];
+        else delete script[field];
+    }
+    return script;
+}
+
+/**
+ * Print the AHK version detected for a local directory
+ */
+function detectLocalVersion(dir) {
+    if (!dir || !fs.existsSync(dir)) {
+        log(`Directory not found: ${dir}`, 'error');
+        process.exitCode = 1;
+        return;
+    }
+
+    const result = detectFromDirectory(path.resolve(dir));
+    console.log(`\n${colors.bright}${dir}${colors.reset}: ${colors.cyan}${result.ahkVersion}${colors.reset} (confidence ${result.confidence})`);
+    for (const signal of result.signals) {
+        const where = signal.path ? `${signal.path}:${signal.line}` : 'tree';
+        console.log(`  ${colors.dim}${where}${colors.reset} [${signal.version}] ${signal.message}`);
+    }
+    console.log('');
+}
+
+/**
+ * Print the code excerpt generated for a local repository checkout
+ */
+function excerptLocalRepo(dir) {
+    if (!dir || !fs.existsSync(dir)) {
+        log(`Directory not found: ${dir}`, 'error');
+        process.exitCode = 1;
+        return;
+    }
+
+    const name = path.basename(path.resolve(dir));
+    console.log(renderRepoCode({ full_name: name, html_url: '' }, excerptFromDirectory(path.resolve(dir), name)));
+    console.log('');
 }
 
 /**
@@ -227,15 +782,35 @@ function loadManifest() {
 
 /**
  * Save the manifest
+ * The entries are compared with previous (by default the manifest on disk):
+ * the version is bumped for the changes and a CHANGELOG.json entry appended
  */
-function saveManifest(manifest) {
+function saveManifest(manifest, previous = loadManifest()) {
     try {
-        manifest.lastUpdated = new Date().toISOString();
+        const changes = diffManifests(previous, manifest);
+
+        manifest.version = bumpVersion(previous.version, changes);
+        manifest.lastUpdated = CONFIG.now().toISOString();
         manifest.totalScripts = manifest.scripts.length;
 
+        if (CONFIG.dryRun) {
+            log(`Dry run: ${CONFIG.manifestPath} not saved`, 'warn');
+            console.log(renderDiffReport(changes, { from: previous.version, to: manifest.version }));
+            return true;
+        }
+
         const content = JSON.stringify(manifest, null, 2);
         fs.writeFileSync(CONFIG.manifestPath, content, 'utf8');
         log(`Manifest saved with ${manifest.scripts.length} scripts`, 'success');
+
+        if (hasChanges(changes)) {
+            appendChangelog(changelogEntry(changes, {
+                from: previous.version,
+                to: manifest.version,
+                date: manifest.lastUpdated
+            }));
+            log(`Manifest ${previous.version} -> ${manifest.version}: ${changes.added.length} added, ${changes.updated.length} updated, ${changes.removed.length} removed`, 'info');
+        }
         return true;
     } catch (error) {
         log(`Error saving manifest: ${error.message}`, 'error');
@@ -243,8 +818,250 @@ function saveManifest(manifest) {
     }
 }
 
+/**
+ * Append an entry to CHANGELOG.json (oldest first)
+ */
+function appendChangelog(entry) {
+    let changelog = [];
+    if (fs.existsSync(CONFIG.changelogPath)) {
+        changelog = JSON.parse(fs.readFileSync(CONFIG.changelogPath, 'utf8'));
+    }
+    changelog.push(entry);
+    fs.writeFileSync(CONFIG.changelogPath, JSON.stringify(changelog, null, 2), 'utf8');
+}
+
+/**
+ * Print the changes between two manifest files
+ */
+function diffManifestFiles(oldPath, newPath) {
+    if (!oldPath || !newPath) {
+        throw new Error('--diff needs two manifest files: --diff OLD NEW');
+    }
+
+    const [before, after] = [oldPath, newPath].map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+    const changes = diffManifests(before, after);
+
+    console.log(`${colors.bright}${oldPath} -> ${newPath}${colors.reset}\n`);
+    console.log(renderDiffReport(changes, { from: before.version, to: after.version }));
+}
+
+/**
+ * Re-check every GitHub entry against the API
+ *
+ * Repos are looked up by id, so renamed and transferred repos are followed
+ * and their title, owner and URL updated. Archived repos are flagged with
+ * `archived: true`. Repos that are gone (deleted, made private or blocked)
+ * become tombstones: the entry stays, with `removedAt` and `removedReason`,
+ * and the UI and exports hide it. A tombstoned repo that is reachable again
+ * is restored.
+ *
+ * Any other failure aborts the prune so a transient error never tombstones
+ * live repos. Entries whose code is still the old generated template get
+ * a real excerpt. Returns true when the manifest changed.
+ */
+async function pruneGitHubEntries(manifest) {
+    const entries = manifest.scripts.filter(s => s.source === 'github');
+    const now = CONFIG.now().toISOString();
+    const counts = { renamed: 0, excerpted: 0, archived: 0, unarchived: 0, removed: 0, restored: 0 };
+
+    log(`Re-checking ${entries.length} GitHub entries...`);
+
+    for (const script of entries) {
+        const repoId = parseInt(String(script.id).replace('github-', ''), 10);
+        const response = await githubRequest(`/repositories/${repoId}`);
+        const name = `${script.owner}/${script.title}`;
+
+        if (response.status === 404 || response.status === 410 || response.status === 451) {
+            if (!script.removedAt) {
+                script.removedAt = now.slice(0, 10);
+                script.removedReason = response.status === 451 ? 'blocked' : 'not-found';
+                // Newer than any cached copy, so merges keep the tombstone
+                script.lastModified = now;
+                counts.removed++;
+                log(`${name}: repository is gone (status ${response.status}), marked as removed`, 'warn');
+            }
+            continue;
+        }
+
+        if (response.status !== 200) {
+            throw new Error(`Error pruning GitHub entries: status ${response.status} for ${name} (repository ${repoId})`);
+        }
+
+        const repo = response.data;
+
+        if (script.removedAt) {
+            delete script.removedAt;
+            delete script.removedReason;
+            script.lastModified = repo.updated_at;
+            counts.restored++;
+            log(`${name}: repository is reachable again, restored`, 'info');
+        }
+
+        if (repo.full_name !== name) {
+            log(`${name}: renamed to ${repo.full_name}`, 'info');
+            script.title = repo.name;
+            script.owner = repo.owner.login;
+            script.url = repo.html_url;
+            applyRepoCode(script, await inspectRepo(repo));
+            counts.renamed++;
+        } else if (isBoilerplateCode(script.code)) {
+            applyRepoCode(script, await inspectRepo(repo));
+            counts.excerpted++;
+        }
+
+        if (repo.archived && !script.archived) {
+            script.archived = true;
+            counts.archived++;
+            log(`${repo.full_name}: archived`, 'info');
+        } else if (!repo.archived && script.archived) {
+            delete script.archived;
+            counts.unarchived++;
+            log(`${repo.full_name}: no longer archived`, 'info');
+        }
+    }
+
+    log(`Pruned GitHub entries: ${counts.renamed} renamed, ${counts.excerpted} excerpted, ${counts.archived} archived, ${counts.unarchived} unarchived, ${counts.removed} removed, ${counts.restored} restored`, 'success');
+    return Object.values(counts).some(count => count > 0);
+}
+
+/**
+ * Load the manual category/difficulty overrides, keyed by script id
+ * A broken overrides file fails the build rather than being ignored
+ */
+function loadOverrides(manifest) {
+    if (!fs.existsSync(CONFIG.overridesPath)) return {};
+
+    const overrides = JSON.parse(fs.readFileSync(CONFIG.overridesPath, 'utf8'));
+    const difficulties = loadSchema().definitions.script.properties.difficulty.enum;
+    const errors = validateOverrides(overrides, manifest.categories || [], difficulties);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${path.basename(CONFIG.overridesPath)}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return overrides;
+}
+
+/**
+ * Classify GitHub entries by category and difficulty, then apply overrides
+ * Returns true when the manifest changed
+ */
+function classifyEntries(manifest) {
+    log('Classifying GitHub entries...');
+
+    const defaults = Object.fromEntries(CONFIG.queries.filter(q => q.category).map(q => [q.name, q.category]));
+    const { changed, classified, overridden } = classifyManifest(manifest, loadOverrides(manifest), defaults);
+    const total = manifest.scripts.filter(s => s.source === 'github' && !s.removedAt).length;
+
+    log(`Classified ${classified} of ${total} GitHub entries, ${overridden} overridden, ${changed} changed`, 'success');
+    return changed > 0;
+}
+
+/**
+ * Import curated scripts from .ahk files with header comments
+ * (see script-import.js). New ids are added; existing local entries are
+ * updated when their file changed, keeping dateAdded. The result is
+ * validated before anything is merged, so a bad file changes nothing.
+ * Returns true when the manifest changed
+ */
+function importLocalScripts(manifest, dir) {
+    const today = CONFIG.now().toISOString().slice(0, 10);
+    log(`Importing scripts from ${dir}...`);
+
+    const { scripts, errors, warnings } = readScriptFiles(path.resolve(dir), today);
+    warnings.forEach(warning => log(warning, 'warn'));
+
+    const byId = new Map(manifest.scripts.map((script, i) => [script.id, i]));
+    const merged = [...manifest.scripts];
+    const imported = new Map();
+    const counts = { added: 0, updated: 0, unchanged: 0 };
+
+    for (const { file, script } of scripts) {
+        const index = byId.get(script.id);
+        const existing = index === undefined ? null : merged[index];
+
+        if (existing && existing.source === 'github') {
+            errors.push(`${file}: id "${script.id}" belongs to a GitHub entry; set another with an Id: header`);
+            continue;
+        }
+
+        if (!existing) {
+            imported.set(merged.length, file);
+            merged.push(script);
+            counts.added++;
+            continue;
+        }
+
+        // Fields the file does not set (e.g. duplicateOf) carry over
+        const updated = { ...existing, ...script, dateAdded: existing.dateAdded, lastModified: existing.lastModified };
+        if (!script.license) delete updated.license;
+        // Curated entries written before --import have no source; they are local
+        if (JSON.stringify(updated) === JSON.stringify({ ...existing, source: existing.source || 'local' })) {
+            counts.unchanged++;
+            continue;
+        }
+        updated.lastModified = today;
+        imported.set(index, file);
+        merged[index] = updated;
+        counts.updated++;
+    }
+
+    // Validate the imported entries in the context of the whole manifest
+    for (const error of validateManifest({ ...manifest, scripts: merged, totalScripts: merged.length })) {
+        const match = error.path.match(/^scripts\[(\d+)\](?: \([^)]*\))?\.?(.*)$/);
+        const file = match && imported.get(Number(match[1]));
+        if (file) errors.push(`${file}: ${match[2] || 'entry'} ${error.message}`);
+    }
+
+    if (errors.length) {
+        log(`Import failed with ${errors.length} errors:`, 'error');
+        errors.forEach(error => console.log(`  - ${error}`));
+        throw new Error(`Nothing imported from ${dir}; fix the files above and re-run`);
+    }
+
+    manifest.scripts = merged;
+    log(`Imported ${scripts.length} files: ${counts.added} added, ${counts.updated} updated, ${counts.unchanged} unchanged`, 'success');
+    return counts.added + counts.updated > 0;
+}
+
+/**
+ * Report near-duplicate scripts, and with link set, record duplicateOf on
+ * every copy (and clear stale links)
+ * Returns true when links changed
+ */
+function dedupeScripts(manifest, { threshold = DEFAULT_THRESHOLD, link = false } = {}) {
+    if (!(threshold > 0 && threshold <= 1)) {
+        throw new Error(`--dedupe-threshold must be above 0 and at most 1, got "${threshold}"`);
+    }
+
+    log(`Looking for near-duplicate scripts (similarity >= ${threshold})...`);
+    const clusters = findDuplicates(manifest.scripts, { threshold });
+    const byId = new Map(manifest.scripts.map(s => [s.id, s]));
+
+    if (clusters.length === 0) {
+        log('No near-duplicates found', 'success');
+    } else {
+        const copies = clusters.reduce((sum, cluster) => sum + cluster.duplicates.length, 0);
+        log(`Found ${clusters.length} clusters with ${copies} near-duplicates`, 'warn');
+        for (const cluster of clusters) {
+            console.log(`\n  ${colors.bright}${cluster.canonical}${colors.reset}  ${byId.get(cluster.canonical).title}`);
+            for (const duplicate of cluster.duplicates) {
+                console.log(`    ${colors.yellow}${duplicate.score.toFixed(3)}${colors.reset}  ${duplicate.id}  ${colors.dim}${byId.get(duplicate.id).title}${colors.reset}`);
+            }
+        }
+        console.log('');
+    }
+
+    if (!link) return false;
+
+    const changed = applyDuplicateLinks(manifest.scripts, clusters);
+    log(`Updated duplicateOf on ${changed} entries`, changed ? 'success' : 'info');
+    return changed > 0;
+}
+
 /**
  * Merge new scripts into manifest
+ * A tombstone is replaced (restored) when a fetch returns its repo with a
+ * newer update; entries with the old generated template code are always
+ * replaced
  */
 function mergeScripts(manifest, newScripts) {
     const existingIds = new Set(manifest.scripts.map(s => s.id));
@@ -260,7 +1077,9 @@ function mergeScripts(manifest, newScripts) {
             const index = manifest.scripts.findIndex(s => s.id === script.id);
             if (index >= 0) {
                 const existing = manifest.scripts[index];
-                if (new Date(script.lastModified) > new Date(existing.lastModified)) {
+                if (new Date(script.lastModified) > new Date(existing.lastModified) || isBoilerplateCode(existing.code)) {
+                    // Keep the link until --dedupe --link-duplicates re-checks it
+                    if (existing.duplicateOf && !script.duplicateOf) script.duplicateOf = existing.duplicateOf;
                     manifest.scripts[index] = script;
                     updated++;
                 }
@@ -273,89 +1092,144 @@ function mergeScripts(manifest, newScripts) {
 }
 
 /**
- * Validate all scripts in the manifest
+ * Validate the manifest against its JSON Schema and consistency rules
+ * In strict mode errors are reported as errors rather than warnings
+ */
+function validateScripts(manifest, strict = false) {
+    log(`Validating scripts${strict ? ' (strict)' : ''}...`);
+
+    const errors = validateManifest(manifest);
+
+    if (errors.length > 0) {
+        log(`Found ${errors.length} validation errors:`, strict ? 'error' : 'warn');
+        errors.forEach(e => console.log(`  - ${e.path}: ${e.message}`));
+        return false;
+    }
+
+    log('All scripts validated successfully', 'success');
+    return true;
+}
+
+/**
+ * Lint the code body of every curated script
+ * #Include targets are resolved against the ids and titles in the manifest.
+ * Returns false when any error-level finding was reported.
  */
-function validateScripts(manifest) {
-    log('Validating scripts...');
+function lintScripts(manifest, strict = false) {
+    log(`Linting script code${strict ? ' (strict)' : ''}...`);
 
-    const errors = [];
-    const requiredFields = ['id', 'title', 'category', 'description'];
+    const normalize = name => name.toLowerCase().replace(/\.ahk$/, '').replace(/[^a-z0-9]/g, '');
+    const known = new Set();
+    for (const script of manifest.scripts) {
+        known.add(normalize(script.id));
+        known.add(normalize(script.title));
+    }
+
+    const resolveInclude = (target) => {
+        const name = target.replace(/^<|>$/g, '').split(/[\\/]/).pop();
+        return known.has(normalize(name));
+    };
+
+    let errors = 0;
+    let warnings = 0;
 
     for (const script of manifest.scripts) {
-        for (const field of requiredFields) {
-            if (!script[field]) {
-                errors.push(`Script "${script.id || 'unknown'}": missing ${field}`);
-            }
-        }
+        // GitHub entries quote third-party code as-is, possibly truncated
+        if (!script.code || script.source === 'github') continue;
+
+        for (const finding of lintAhk(script.code, { resolveInclude })) {
+            if (finding.severity === 'error') errors++;
+            else warnings++;
 
-        if (script.code && !script.code.includes('```cpp')) {
-            errors.push(`Script "${script.id}": code block should use cpp format`);
+            const color = finding.severity === 'error' ? colors.red : colors.yellow;
+            console.log(`  ${script.id}:${finding.line} ${color}${finding.severity}${colors.reset} ${finding.message} ${colors.dim}(${finding.rule})${colors.reset}`);
         }
     }
 
-    if (errors.length > 0) {
-        log(`Found ${errors.length} validation errors:`, 'warn');
-        errors.forEach(e => console.log(`  - ${e}`));
+    if (errors > 0) {
+        log(`Lint found ${errors} errors and ${warnings} warnings`, strict ? 'error' : 'warn');
         return false;
     }
 
-    log('All scripts validated successfully', 'success');
+    log(`Lint passed${warnings ? ` with ${warnings} warnings` : ''}`, 'success');
     return true;
 }
 
 /**
  * Generate statistics about the collection
+ * Prints them as text, json, markdown or html and returns the stats
  */
-function generateStats(manifest) {
-    const categories = {};
-    const difficulties = {};
-    const sources = {};
-    const tagCounts = {};
+function generateStats(manifest, format = 'text') {
+    const stats = computeStats(manifest.scripts, { lastUpdated: manifest.lastUpdated, version: manifest.version });
 
-    for (const script of manifest.scripts) {
-        categories[script.category] = (categories[script.category] || 0) + 1;
-        difficulties[script.difficulty] = (difficulties[script.difficulty] || 0) + 1;
-        sources[script.source || 'local'] = (sources[script.source || 'local'] || 0) + 1;
-
-        if (script.tags) {
-            for (const tag of script.tags) {
-                tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-            }
-        }
+    if (format === 'json') {
+        console.log(JSON.stringify(stats, null, 2));
+        return stats;
+    }
+    if (format === 'markdown') {
+        process.stdout.write(renderStatsMarkdown(stats));
+        return stats;
+    }
+    if (format === 'html') {
+        process.stdout.write(renderStatsHtml(stats));
+        return stats;
     }
 
     console.log('\n' + colors.bright + '=== Script Collection Statistics ===' + colors.reset);
-    console.log(`\nTotal Scripts: ${colors.cyan}${manifest.scripts.length}${colors.reset}`);
-    console.log(`Last Updated: ${colors.dim}${manifest.lastUpdated || 'Never'}${colors.reset}`);
+    console.log(`\nTotal Scripts: ${colors.cyan}${stats.totalScripts}${colors.reset}`);
+    if (stats.removedScripts) {
+        console.log(`Removed Repos: ${colors.dim}${stats.removedScripts}${colors.reset}`);
+    }
+    console.log(`Last Updated: ${colors.dim}${stats.lastUpdated || 'Never'}${colors.reset}`);
 
     console.log('\n' + colors.bright + 'By Category:' + colors.reset);
-    Object.entries(categories)
-        .sort((a, b) => b[1] - a[1])
+    Object.entries(stats.categories)
         .forEach(([cat, count]) => {
             console.log(`  ${cat}: ${colors.green}${count}${colors.reset}`);
         });
 
     console.log('\n' + colors.bright + 'By Difficulty:' + colors.reset);
-    Object.entries(difficulties)
+    Object.entries(stats.difficulties)
         .forEach(([diff, count]) => {
             console.log(`  ${diff}: ${colors.yellow}${count}${colors.reset}`);
         });
 
     console.log('\n' + colors.bright + 'By Source:' + colors.reset);
-    Object.entries(sources)
+    Object.entries(stats.sources)
         .forEach(([src, count]) => {
             console.log(`  ${src}: ${colors.cyan}${count}${colors.reset}`);
         });
 
     console.log('\n' + colors.bright + 'Top 10 Tags:' + colors.reset);
-    Object.entries(tagCounts)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10)
-        .forEach(([tag, count]) => {
+    stats.topTags
+        .forEach(({ tag, count }) => {
             console.log(`  ${tag}: ${count}`);
         });
 
     console.log('');
+    return stats;
+}
+
+/**
+ * Append today's snapshot of the collection to stats-history.json
+ * (one snapshot per day; a later build the same day replaces it)
+ */
+function recordStatsHistory(manifest) {
+    const stats = computeStats(manifest.scripts);
+    const snapshot = statsSnapshot(stats, CONFIG.now().toISOString().slice(0, 10));
+
+    if (CONFIG.dryRun) {
+        log(`Dry run: stats snapshot for ${snapshot.date} not recorded`, 'info');
+        return;
+    }
+
+    let history = [];
+    if (fs.existsSync(CONFIG.statsHistoryPath)) {
+        history = JSON.parse(fs.readFileSync(CONFIG.statsHistoryPath, 'utf8'));
+    }
+    history = appendSnapshot(history, snapshot);
+    fs.writeFileSync(CONFIG.statsHistoryPath, JSON.stringify(history, null, 2) + '\n', 'utf8');
+    log(`Recorded stats snapshot for ${snapshot.date} (${history.length} in history)`, 'debug');
 }
 
 /**
@@ -377,6 +1251,13 @@ function exportFormats(manifest) {
         'utf8'
     );
 
+    // Everything else leaves out tombstoned entries
+    const total = manifest.scripts.length;
+    manifest = { ...manifest, scripts: manifest.scripts.filter(s => !s.removedAt) };
+    if (manifest.scripts.length < total) {
+        log(`Skipping ${total - manifest.scripts.length} removed entries`, 'info');
+    }
+
     // Export scripts only (no metadata)
     const scriptsOnly = manifest.scripts.map(s => ({
         id: s.id,
@@ -400,9 +1281,376 @@ function exportFormats(manifest) {
         'utf8'
     );
 
+    // Export the search index used by ScriptUpdateManager.search()
+    fs.writeFileSync(
+        path.join(CONFIG.outputDir, 'search-index.json'),
+        JSON.stringify(buildSearchIndex(manifest.scripts, manifest)),
+        'utf8'
+    );
+
+    // Export repos snapshot for the sidebar feed's offline fallback
+    fs.writeFileSync(
+        path.join(CONFIG.outputDir, 'repos-snapshot.json'),
+        JSON.stringify(buildReposSnapshot(manifest), null, 2),
+        'utf8'
+    );
+
+    const posts = loadPosts();
+    const built = exportPosts(posts);
+    exportFeeds(manifest, posts, built);
+    exportScriptFiles(manifest);
+
     log(`Exported files to ${CONFIG.outputDir}`, 'success');
 }
 
+/**
+ * Export each script as dist/scripts/<category>/<id>.ahk plus an index,
+ * and bundle the same files into dist/ahk-scripts.zip
+ */
+function exportScriptFiles(manifest) {
+    const scriptsDir = path.join(CONFIG.outputDir, 'scripts');
+    const { files, index } = buildScriptFiles(manifest, { siteUrl: CONFIG.siteUrl });
+    const indexJson = JSON.stringify(index, null, 2);
+
+    // Start clean so renamed or removed scripts leave no stale files
+    fs.rmSync(scriptsDir, { recursive: true, force: true });
+
+    for (const file of files) {
+        const target = path.join(scriptsDir, ...file.path.split('/'));
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.content, 'utf8');
+    }
+    fs.writeFileSync(path.join(scriptsDir, 'index.json'), indexJson, 'utf8');
+
+    // A fixed timestamp keeps the archive identical between unchanged builds
+    const date = new Date(manifest.lastUpdated);
+    const archive = createZip([
+        ...files.map(file => ({ name: `ahk-scripts/${file.path}`, data: file.content, date })),
+        { name: 'ahk-scripts/index.json', data: indexJson, date }
+    ]);
+    fs.writeFileSync(path.join(CONFIG.outputDir, 'ahk-scripts.zip'), archive);
+
+    log(`Wrote ${files.length} .ahk files and ahk-scripts.zip`, 'success');
+}
+
+/**
+ * Export curated scripts as eval records: dist/eval/ahk-eval.jsonl holds
+ * every record, train.jsonl and test.jsonl hold each split
+ */
+function exportDataset(manifest, options) {
+    const evalDir = path.join(CONFIG.outputDir, 'eval');
+    const records = buildEvalRecords(manifest, options);
+
+    if (records.length === 0) {
+        log('No scripts match the dataset filters', 'warn');
+    }
+
+    fs.mkdirSync(evalDir, { recursive: true });
+    fs.writeFileSync(path.join(evalDir, 'ahk-eval.jsonl'), toJsonl(records), 'utf8');
+    for (const split of ['train', 'test']) {
+        fs.writeFileSync(path.join(evalDir, `${split}.jsonl`), toJsonl(records.filter(r => r.split === split)), 'utf8');
+    }
+
+    const test = records.filter(r => r.split === 'test').length;
+    log(`Exported ${records.length} eval records (${records.length - test} train, ${test} test) to ${evalDir}`, 'success');
+}
+
+/**
+ * Score model outputs against the manifest's reference code
+ * Writes eval/results.json (leaderboard summary) and
+ * eval/results/<model>.json (per-task detail) at the site root
+ */
+function scoreOutputs(manifest, dir) {
+    if (!dir) {
+        throw new Error('--score needs a directory of model outputs');
+    }
+
+    const models = loadModelOutputs(dir);
+    if (models.length === 0) {
+        log(`No model outputs found in ${dir}`, 'warn');
+        return;
+    }
+
+    const report = scoreModels(manifest, models);
+    const resultsDir = path.join(CONFIG.evalResultsDir, 'results');
+    fs.mkdirSync(resultsDir, { recursive: true });
+
+    for (const model of report.models) {
+        fs.writeFileSync(path.join(resultsDir, `${model.model}.json`), JSON.stringify(model, null, 2), 'utf8');
+    }
+
+    const summary = {
+        generatedAt: CONFIG.now().toISOString(),
+        tasks: report.tasks,
+        weights: report.weights,
+        models: report.models.map(({ results, ...model }) => model)
+    };
+    fs.writeFileSync(path.join(CONFIG.evalResultsDir, 'results.json'), JSON.stringify(summary, null, 2), 'utf8');
+
+    console.log(`\n${colors.bright}Leaderboard (${report.tasks} tasks)${colors.reset}`);
+    report.models.forEach((model, i) => {
+        console.log(`  ${i + 1}. ${model.model.padEnd(24)} score ${model.score.toFixed(3)}  pass ${Math.round(model.passRate * 100)}%  coverage ${Math.round(model.coverage * 100)}%`);
+        if (model.unknown.length) {
+            log(`${model.model}: ignored ${model.unknown.length} outputs without a curated script (${model.unknown.slice(0, 3).join(', ')}${model.unknown.length > 3 ? ', ...' : ''})`, 'warn');
+        }
+    });
+    console.log('');
+
+    log(`Wrote results for ${report.models.length} models to ${CONFIG.evalResultsDir}; commit them to publish the leaderboard`, 'success');
+}
+
+/**
+ * Load posts/posts.json; an unreadable list means no posts
+ */
+function loadPosts() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG.postsPath, 'utf8'));
+    } catch (error) {
+        log(`Failed to load posts: ${error.message}`, 'warn');
+        return [];
+    }
+}
+
+/**
+ * Path of the output directory under the site root ('dist' by default), or
+ * null when it lies outside the site
+ */
+function outputSitePath() {
+    const relative = path.relative(CONFIG.siteRoot, CONFIG.outputDir);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    return relative.split(path.sep).join('/');
+}
+
+/**
+ * Prerender every post to <out>/posts/<slug>.html and write sitemap.xml
+ * <out>/posts/index.json lists the built slugs so the homepage can link to
+ * them; other slugs keep using post.html. The sitemap lists site URLs, so
+ * it is skipped when the output directory is outside the site.
+ * Returns the set of built slugs
+ */
+function exportPosts(posts) {
+    const postsDir = path.join(CONFIG.outputDir, 'posts');
+    const sitePath = outputSitePath();
+    const siteUrl = CONFIG.siteUrl.replace(/\/$/, '');
+    // From <out>/posts/ back to the site root
+    const root = '../'.repeat((sitePath || PUBLISHED_OUTPUT).split('/').length + 1);
+    const built = new Set();
+
+    fs.rmSync(postsDir, { recursive: true, force: true });
+    fs.mkdirSync(postsDir, { recursive: true });
+
+    for (const post of posts) {
+        // Post paths are relative to the site root, e.g. posts/oop-guis.md
+        const source = path.join(CONFIG.siteRoot, post.path || `posts/${post.slug}.md`);
+        if (!fs.existsSync(source)) {
+            log(`Skipping post ${post.slug}: ${source} not found`, 'warn');
+            continue;
+        }
+
+        const html = renderPostPage(post, fs.readFileSync(source, 'utf8'), { url: postPageUrl(post), root });
+        fs.writeFileSync(path.join(postsDir, `${post.slug}.html`), html, 'utf8');
+        built.add(post.slug);
+    }
+
+    fs.writeFileSync(path.join(postsDir, 'index.json'), JSON.stringify([...built], null, 2), 'utf8');
+
+    if (!sitePath) {
+        log(`Prerendered ${built.size} posts; ${CONFIG.outputDir} is outside the site, so ${path.basename(CONFIG.sitemapPath)} was not written`, 'success');
+        return built;
+    }
+
+    const dates = posts.map(post => post.updated || post.date).filter(Boolean).sort();
+    const sitemap = renderSitemap([
+        { loc: `${siteUrl}/`, lastmod: dates[dates.length - 1] },
+        { loc: `${siteUrl}/leaderboard.html` },
+        { loc: `${siteUrl}/stats.html` },
+        ...posts
+            .filter(post => built.has(post.slug))
+            .map(post => ({ loc: postPageUrl(post), lastmod: post.updated || post.date }))
+    ]);
+    fs.writeFileSync(CONFIG.sitemapPath, sitemap, 'utf8');
+
+    log(`Prerendered ${built.size} posts and wrote ${path.basename(CONFIG.sitemapPath)}`, 'success');
+    return built;
+}
+
+/**
+ * Public URL of a prerendered post
+ */
+function postPageUrl(post) {
+    const sitePath = outputSitePath() || PUBLISHED_OUTPUT;
+    return `${CONFIG.siteUrl.replace(/\/$/, '')}/${sitePath}/posts/${encodeURIComponent(post.slug)}.html`;
+}
+
+/**
+ * Public URL of a script's exported .ahk file
+ */
+function scriptFileUrl(script) {
+    const sitePath = outputSitePath() || PUBLISHED_OUTPUT;
+    const file = scriptFilePath(script).split('/').map(encodeURIComponent).join('/');
+    return `${CONFIG.siteUrl.replace(/\/$/, '')}/${sitePath}/scripts/${file}`;
+}
+
+/**
+ * Export Atom, RSS 2.0 and JSON Feed files covering scripts and posts
+ * Posts link to their prerendered page when one was built; curated scripts
+ * link to their exported .ahk file
+ */
+function exportFeeds(manifest, posts, built = new Set()) {
+    const siteUrl = CONFIG.siteUrl.replace(/\/$/, '');
+    const sitePath = outputSitePath() || PUBLISHED_OUTPUT;
+    const postUrl = post => built.has(post.slug)
+        ? postPageUrl(post)
+        : `${siteUrl}/post.html?slug=${encodeURIComponent(post.slug)}`;
+    const entries = buildFeedEntries(manifest, posts, {
+        siteUrl,
+        limit: CONFIG.feedItemLimit,
+        postUrl,
+        scriptUrl: scriptFileUrl
+    });
+    const feeds = [
+        { file: 'atom.xml', render: renderAtom },
+        { file: 'feed.xml', render: renderRss },
+        { file: 'feed.json', render: renderJsonFeed }
+    ];
+
+    for (const feed of feeds) {
+        fs.writeFileSync(
+            path.join(CONFIG.outputDir, feed.file),
+            feed.render(entries, { siteUrl, feedUrl: `${siteUrl}/${sitePath}/${feed.file}` }),
+            'utf8'
+        );
+    }
+
+    log(`Wrote ${feeds.length} feeds with ${entries.length} entries`, 'success');
+}
+
+/**
+ * Build the repos snapshot used by ReposFeed before (or instead of) the live API
+ * Items mirror the fields of GitHub search results that the feed renders
+ */
+function buildReposSnapshot(manifest) {
+    // Archived repos are left out, like the live search (archived:false)
+    const items = manifest.scripts
+        .filter(s => s.source === 'github' && !s.archived)
+        .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified))
+        .slice(0, CONFIG.snapshotLimit)
+        .map(s => ({
+            id: parseInt(String(s.id).replace('github-', ''), 10),
+            name: s.title,
+            full_name: `${s.owner}/${s.title}`,
+            html_url: s.url,
+            description: s.description === 'No description available' ? null : s.description,
+            language: 'AutoHotkey',
+            stargazers_count: s.stars || 0,
+            forks_count: s.forks || 0,
+            ahkVersion: s.ahkVersion,
+            ahkVersionConfidence: s.ahkVersionConfidence,
+            topics: (s.tags || []).filter(t => t !== 'github' && t !== 'repository'),
+            created_at: s.dateAdded,
+            updated_at: s.lastModified
+        }));
+
+    // Versions of every known repo, so the feed can badge live results too
+    const versions = {};
+    for (const s of manifest.scripts) {
+        if (s.source === 'github' && s.ahkVersion) {
+            versions[String(s.id).replace('github-', '')] = {
+                ahkVersion: s.ahkVersion,
+                ahkVersionConfidence: s.ahkVersionConfidence
+            };
+        }
+    }
+
+    return {
+        generatedAt: CONFIG.now().toISOString(),
+        total: items.length,
+        items,
+        versions
+    };
+}
+
+/**
+ * Apply the config file, environment variables and command-line options
+ * to CONFIG, in increasing order of precedence
+ */
+function configure(options) {
+    CONFIG.verbose = Boolean(options.verbose);
+    CONFIG.dryRun = Boolean(options.dryRun);
+
+    if (options.format !== undefined && !STATS_FORMATS.includes(options.format)) {
+        throw new Error(`--format must be one of ${STATS_FORMATS.join(', ')}, got "${options.format}"`);
+    }
+    CONFIG.logToStderr = options.format !== undefined && options.format !== 'text';
+
+    const configFile = options.config ? path.resolve(options.config) : CONFIG.configPath;
+    const file = loadFeedConfig(configFile, Boolean(options.config)) || {};
+    if (Object.keys(file).length) log(`Using config ${configFile}`, 'debug');
+
+    if (options.manifest || file.manifest) {
+        CONFIG.manifestPath = options.manifest ? path.resolve(options.manifest) : file.manifest;
+        CONFIG.changelogPath = path.join(path.dirname(CONFIG.manifestPath), 'CHANGELOG.json');
+        CONFIG.statsHistoryPath = path.join(path.dirname(CONFIG.manifestPath), 'stats-history.json');
+    }
+    if (options.out || file.out) {
+        CONFIG.outputDir = options.out ? path.resolve(options.out) : file.out;
+    }
+
+    if (file.limit !== undefined) CONFIG.feedLimit = parseFeedLimit(file.limit, 'Config "limit"');
+    if (file.queries) {
+        CONFIG.queries = file.queries.map(query => ({
+            ...query,
+            query: query.query || buildSearchQuery(AHK_REPO_SEARCH),
+            limit: query.limit === undefined ? undefined : parseFeedLimit(query.limit, `Config query "${query.name}" limit`)
+        }));
+    }
+
+    // A limit or query given outside the config file applies to every query
+    const limit = options.limit !== undefined ? options.limit : process.env.AHK_FEED_LIMIT;
+    if (limit !== undefined) {
+        CONFIG.feedLimit = parseFeedLimit(limit, options.limit !== undefined ? '--limit' : 'AHK_FEED_LIMIT');
+        CONFIG.queries = CONFIG.queries.map(query => ({ ...query, limit: undefined }));
+    }
+    const query = options.query || process.env.AHK_SEARCH_QUERY;
+    if (query) {
+        CONFIG.queries = [{ name: options.query ? 'cli' : 'env', query }];
+    }
+
+    if (process.env.AHK_GITHUB_API) {
+        CONFIG.githubApiBase = parseApiBase(process.env.AHK_GITHUB_API, 'AHK_GITHUB_API');
+    } else if (file.githubApiBase) {
+        CONFIG.githubApiBase = parseApiBase(file.githubApiBase, 'Config "githubApiBase"');
+    }
+
+    if (options.now !== undefined) {
+        CONFIG.now = pinnedClock(parseBuildDate(options.now, '--now'));
+    }
+
+    if (options.record !== undefined && options.replay !== undefined) {
+        throw new Error('--record and --replay cannot be combined');
+    }
+    if (options.record !== undefined) {
+        // Date-window queries embed the date, so a replay needs the same one
+        const recordedAt = CONFIG.now();
+        CONFIG.now = pinnedClock(recordedAt);
+        CONFIG.transport = recordTransport(path.resolve(options.record), recordedAt);
+        log(`Recording GitHub responses to ${path.resolve(options.record)}`, 'info');
+    } else if (options.replay !== undefined) {
+        CONFIG.transport = replayTransport(path.resolve(options.replay));
+        const recordedAt = recordingTime(path.resolve(options.replay));
+        if (options.now === undefined && recordedAt) {
+            CONFIG.now = pinnedClock(recordedAt);
+        }
+        log(`Replaying GitHub responses from ${path.resolve(options.replay)}`, 'info');
+    }
+    log(`Build time: ${CONFIG.now().toISOString()}`, 'debug');
+
+    log(`Manifest: ${CONFIG.manifestPath}`, 'debug');
+    log(`Output: ${CONFIG.outputDir}`, 'debug');
+    log(`GitHub API: ${CONFIG.githubApiBase}`, 'debug');
+    log(`Queries: ${CONFIG.queries.map(q => `${q.name} (limit ${q.limit === undefined ? CONFIG.feedLimit : q.limit})`).join(', ')}`, 'debug');
+}
+
 /**
  * Show help message
  */
@@ -413,70 +1661,198 @@ ${colors.bright}AHK v2 Scripts Build Tool${colors.reset}
 Usage: node scripts/build.js [options]
 
 Options:
-  --fetch       Fetch new scripts from GitHub
-  --validate    Validate existing scripts
-  --stats       Show collection statistics
-  --export      Export to different formats
-  --all         Run all tasks (fetch, validate, export)
-  --help        Show this help message
+${renderOptionsHelp(OPTIONS)}
+
+Settings come from the command line, then environment variables, then
+the config file (ahk-feed.config.json), then the defaults.
 
 Environment Variables:
   GITHUB_TOKEN       GitHub personal access token (increases rate limit)
-  AHK_FEED_LIMIT     Maximum repos to fetch (default: 50)
-  AHK_SEARCH_QUERY   Custom search query for GitHub
+  AHK_FEED_LIMIT     Maximum repos to fetch per query (default: 50, "all" for no limit)
+  AHK_SEARCH_QUERY   Raw search query (overrides the configured queries)
+  AHK_GITHUB_API     GitHub API base URL (default: https://api.github.com)
+  AHK_KEEP_V1        Keep repos detected as confirmed v1 (true/false)
+  AHK_HTTP_TIMEOUT   Request timeout in ms (default: 30000)
+  AHK_HTTP_RETRIES   Retries for transient failures (default: 4)
+  AHK_RATE_LIMIT_WAIT  Longest rate-limit wait in ms (default: 900000)
+  AHK_SITE_URL       Site base URL for feed links
 
 Examples:
   node scripts/build.js --fetch
+  node scripts/build.js --validate --lint --strict
   GITHUB_TOKEN=xxx node scripts/build.js --all
-  AHK_FEED_LIMIT=100 node scripts/build.js --fetch --stats
+  node scripts/build.js --fetch --limit 100 --stats
+  node scripts/build.js --stats --format markdown > STATS.md
+  node scripts/build.js --fetch --query "autohotkey v2 gui" --dry-run
+  node scripts/build.js --export --manifest my-scripts.json --out public
+  node scripts/build.js --dataset --category GUI --difficulty intermediate,advanced
+  node scripts/build.js --diff old/ahk-scripts.json scripts/ahk-scripts.json
+  node scripts/build.js --dedupe --dedupe-threshold 0.6 --link-duplicates
+  node scripts/build.js --import curated/ --validate
+  node scripts/build.js --fetch --record fixtures/github
+  node scripts/build.js --all --replay fixtures/github --out /tmp/dist
 `);
 }
 
 /**
  * Main build function
  */
-async function main() {
-    const args = process.argv.slice(2);
+async function main(args = process.argv.slice(2)) {
+    const options = parseArgs(args, OPTIONS);
 
-    if (args.includes('--help') || args.length === 0) {
+    if (options.help || args.length === 0) {
         showHelp();
         return;
     }
 
-    console.log(`\n${colors.bright}AHK v2 Scripts Build Process${colors.reset}\n`);
-    console.log(`${colors.dim}Started: ${new Date().toISOString()}${colors.reset}\n`);
+    configure(options);
+
+    const status = CONFIG.logToStderr ? console.error : console.log;
+    status(`\n${colors.bright}AHK v2 Scripts Build Process${colors.reset}\n`);
+    status(`${colors.dim}Started: ${new Date().toISOString()}${colors.reset}\n`);
 
     let manifest = loadManifest();
+    // The manifest as the build found it; all changes are saved against it
+    // once, so one build gives one version bump and one changelog entry
+    const original = loadManifest();
+    let modified = false;
+
+    // Detect the AHK version of a local directory
+    if (options.detect !== undefined) {
+        detectLocalVersion(options.detect);
+    }
+
+    // Show the excerpt for a local repository checkout
+    if (options.excerpt !== undefined) {
+        excerptLocalRepo(options.excerpt);
+    }
+
+    // Compare two manifest files
+    if (options.diff) {
+        diffManifestFiles(...options.diff);
+    }
+
+    // Import curated scripts from .ahk files
+    if (options.import !== undefined) {
+        if (importLocalScripts(manifest, options.import)) {
+            modified = true;
+        }
+    }
 
     // Fetch from GitHub
-    if (args.includes('--fetch') || args.includes('--all')) {
-        const newScripts = await fetchGitHubRepos();
+    if (options.fetch || options.all) {
+        const newScripts = await fetchGitHubRepos(manifest);
         if (newScripts.length > 0) {
             manifest = mergeScripts(manifest, newScripts);
-            saveManifest(manifest);
+            modified = true;
+        }
+    }
+
+    // Re-check GitHub entries
+    if (options.prune || options.all) {
+        if (await pruneGitHubEntries(manifest)) {
+            modified = true;
+        }
+    }
+
+    // Classify GitHub entries
+    if (options.classify || options.fetch || options.all) {
+        if (classifyEntries(manifest)) {
+            modified = true;
         }
     }
 
+    // Find near-duplicates
+    if (options.dedupe) {
+        const threshold = options.dedupeThreshold === undefined ? DEFAULT_THRESHOLD : options.dedupeThreshold;
+        if (dedupeScripts(manifest, { threshold, link: options.linkDuplicates })) {
+            modified = true;
+        }
+    }
+
+    // Save before validating and exporting, so exports carry the new version
+    if (modified) {
+        saveManifest(manifest, original);
+    }
+
     // Validate scripts
-    if (args.includes('--validate') || args.includes('--all')) {
-        validateScripts(manifest);
+    if (options.validate || options.all) {
+        if (!validateScripts(manifest, options.strict) && options.strict) {
+            process.exitCode = 1;
+        }
+    }
+
+    // Lint script code
+    if (options.lint || options.all) {
+        if (!lintScripts(manifest, options.strict) && options.strict) {
+            process.exitCode = 1;
+        }
     }
 
     // Show statistics
-    if (args.includes('--stats') || args.includes('--all')) {
-        generateStats(manifest);
+    if (options.stats || options.all) {
+        generateStats(manifest, options.format);
     }
 
     // Export formats
-    if (args.includes('--export') || args.includes('--all')) {
+    if (options.export || options.all) {
         exportFormats(manifest);
     }
 
-    console.log(`${colors.dim}Completed: ${new Date().toISOString()}${colors.reset}\n`);
+    // Score model outputs
+    if (options.score !== undefined) {
+        scoreOutputs(manifest, options.score);
+    }
+
+    // Export eval dataset
+    if (options.dataset || options.all) {
+        const testRatio = options.testRatio === undefined ? DEFAULT_TEST_RATIO : options.testRatio;
+        if (!(testRatio >= 0 && testRatio <= 1)) {
+            throw new Error(`--test-ratio must be between 0 and 1, got "${options.testRatio}"`);
+        }
+        exportDataset(manifest, {
+            categories: options.category,
+            difficulties: options.difficulty,
+            testRatio
+        });
+    }
+
+    // Record the collection's growth on every build
+    if (options.stats || options.export || options.all) {
+        recordStatsHistory(manifest);
+    }
+
+    status(`${colors.dim}Completed: ${new Date().toISOString()}${colors.reset}\n`);
 }
 
-// Run the build
-main().catch(error => {
-    log(`Build failed: ${error.message}`, 'error');
-    process.exit(1);
-});
+// Run the build when called as a script; require() only loads the functions
+if (require.main === module) {
+    main().catch(error => {
+        log(`Build failed: ${error.message}`, 'error');
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    CONFIG,
+    OPTIONS,
+    configure,
+    githubRequest,
+    fetchGitHubRepos,
+    pruneGitHubEntries,
+    classifyEntries,
+    dedupeScripts,
+    importLocalScripts,
+    loadManifest,
+    saveManifest,
+    mergeScripts,
+    validateScripts,
+    lintScripts,
+    generateStats,
+    recordStatsHistory,
+    exportFormats,
+    exportDataset,
+    scoreOutputs,
+    diffManifestFiles,
+    main
+};
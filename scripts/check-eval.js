@@ -0,0 +1,99 @@
+/**
+ * Eval Dataset Checks
+ *
+ * Builds eval records from the small manifests below with
+ * scripts/eval-dataset.js and fails when a record lands in the wrong split:
+ *
+ *   node scripts/check-eval.js
+ *
+ * Add a case when the split rules change.
+ */
+
+const { buildEvalRecords, splitFor } = require('./eval-dataset');
+
+const CODE = '```cpp\n#Requires AutoHotkey v2.0\nMsgBox "Hi"\n```';
+
+/**
+ * A curated entry for a case manifest
+ */
+function entry(id, extra = {}) {
+    return { id, title: id, description: id, category: 'System', difficulty: 'beginner', tags: [], code: CODE, ...extra };
+}
+
+/**
+ * First id of the form <prefix>-<n> that hashes into the given split
+ */
+function idInSplit(prefix, split) {
+    for (let n = 0; ; n++) {
+        if (splitFor(`${prefix}-${n}`) === split) return `${prefix}-${n}`;
+    }
+}
+
+// manifest: the scripts to export; splits: the split expected per id
+const CASES = [
+    (() => {
+        const canonical = idInSplit('canonical', 'test');
+        const copy = idInSplit('copy', 'train');
+        return {
+            name: 'near-duplicate follows its canonical entry',
+            manifest: { scripts: [entry(canonical), entry(copy, { duplicateOf: canonical })] },
+            splits: { [canonical]: 'test', [copy]: 'test' }
+        };
+    })(),
+    {
+        name: 'GitHub placeholders are left out',
+        manifest: { scripts: [entry('curated'), entry('placeholder', { source: 'github' })] },
+        splits: { curated: splitFor('curated') }
+    }
+];
+
+/**
+ * Check one case
+ * Returns a list of failure messages (empty when it passes)
+ */
+function checkCase(testCase) {
+    const records = buildEvalRecords(testCase.manifest);
+    const splits = Object.fromEntries(records.map(record => [record.id, record.split]));
+    const failures = [];
+
+    for (const [id, split] of Object.entries(testCase.splits)) {
+        if (splits[id] !== split) failures.push(`${id} is in ${splits[id] || 'no split'}, expected ${split}`);
+    }
+    for (const id of Object.keys(splits)) {
+        if (!(id in testCase.splits)) failures.push(`${id} should not be exported`);
+    }
+
+    return failures;
+}
+
+/**
+ * Check every case and report
+ * Returns true when all pass
+ */
+function checkEval() {
+    let failed = 0;
+
+    for (const testCase of CASES) {
+        const failures = checkCase(testCase);
+        if (failures.length) {
+            failed++;
+            console.log(`FAIL ${testCase.name}`);
+            failures.forEach(failure => console.log(`  ${failure}`));
+        } else {
+            console.log(`ok   ${testCase.name}`);
+        }
+    }
+
+    console.log(`\n${CASES.length - failed}/${CASES.length} eval cases passed`);
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exitCode = checkEval() ? 0 : 1;
+}
+
+module.exports = {
+    CASES,
+    checkCase,
+    checkEval
+};
@@ -0,0 +1,114 @@
+/**
+ * Fixture Checks
+ *
+ * Runs AHK version detection and code excerpting against the sample
+ * repositories in fixtures/repos/ and fails when a result differs from
+ * what is expected below. Each fixture is a small checkout-like directory:
+ *
+ *   node scripts/check-fixtures.js
+ *
+ * Add a directory and an EXPECTED entry when detection or excerpting
+ * learns a new case.
+ */
+
+const path = require('path');
+const { detectFromDirectory } = require('./ahk-version');
+const { excerptFromDirectory } = require('./repo-excerpt');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'repos');
+
+// repo: directory under fixtures/repos; minConfidence: lowest accepted
+// confidence for the detected version; source: the excerpted file and the
+// class or function it shows (name null for a plain leading excerpt);
+// usage: the README heading the usage example sits under, or null
+const EXPECTED = [
+    {
+        repo: 'v2-gui-lib', ahkVersion: 'v2', minConfidence: 0.9,
+        source: { path: 'v2-gui-lib.ahk', kind: 'class', name: 'SettingsWindow' },
+        usage: 'Usage'
+    },
+    {
+        repo: 'v1-hotkeys', ahkVersion: 'v1', minConfidence: 0.9,
+        source: { path: 'v1-hotkeys.ahk' },
+        usage: null
+    },
+    {
+        repo: 'mixed-port', ahkVersion: 'mixed', minConfidence: 0.5,
+        source: { path: 'main.ahk' },
+        usage: null
+    },
+    {
+        // A v1 leftover at the root must not be excerpted for a v2 library
+        repo: 'lib-with-old-root', ahkVersion: 'v2', minConfidence: 0.8,
+        source: { path: 'Lib/MyLib.ahk', kind: 'class', name: 'ClipHelper' },
+        usage: 'Example'
+    }
+];
+
+/**
+ * Check one fixture
+ * Returns a list of failure messages (empty when it passes)
+ */
+function checkFixture(expected) {
+    const failures = [];
+    const detected = detectFromDirectory(path.join(FIXTURES_DIR, expected.repo));
+
+    if (detected.ahkVersion !== expected.ahkVersion) {
+        failures.push(`detected ${detected.ahkVersion}, expected ${expected.ahkVersion}`);
+    } else if (detected.confidence < expected.minConfidence) {
+        failures.push(`confidence ${detected.confidence} is below ${expected.minConfidence}`);
+    }
+
+    const { source, usage } = excerptFromDirectory(path.join(FIXTURES_DIR, expected.repo));
+    if (!source) {
+        failures.push(`no source excerpt, expected ${expected.source.path}`);
+    } else {
+        if (source.path !== expected.source.path) {
+            failures.push(`excerpted ${source.path}, expected ${expected.source.path}`);
+        }
+        for (const field of ['kind', 'name']) {
+            if (expected.source[field] !== undefined && source.excerpt[field] !== expected.source[field]) {
+                failures.push(`excerpt ${field} is ${source.excerpt[field]}, expected ${expected.source[field]}`);
+            }
+        }
+    }
+
+    const heading = usage ? usage.heading : null;
+    if (heading !== expected.usage) {
+        failures.push(`usage example under ${heading}, expected ${expected.usage}`);
+    }
+
+    return failures;
+}
+
+/**
+ * Check every fixture and report
+ * Returns true when all pass
+ */
+function checkFixtures() {
+    let failed = 0;
+
+    for (const expected of EXPECTED) {
+        const failures = checkFixture(expected);
+        if (failures.length) {
+            failed++;
+            console.log(`FAIL ${expected.repo}`);
+            failures.forEach(failure => console.log(`  ${failure}`));
+        } else {
+            console.log(`ok   ${expected.repo}`);
+        }
+    }
+
+    console.log(`\n${EXPECTED.length - failed}/${EXPECTED.length} fixtures passed`);
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exitCode = checkFixtures() ? 0 : 1;
+}
+
+module.exports = {
+    EXPECTED,
+    checkFixture,
+    checkFixtures
+};
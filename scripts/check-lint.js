@@ -0,0 +1,72 @@
+/**
+ * Lint Checks
+ *
+ * Runs scripts/ahk-lint.js against the short code samples below and fails
+ * when a rule fires where it should not, or stays quiet where it should:
+ *
+ *   node scripts/check-lint.js
+ *
+ * Add a case when a rule learns a new form.
+ */
+
+const { lintAhk } = require('./ahk-lint');
+
+// code: a v2 code body (without #Requires); reports: rules that must fire;
+// clean: rules that must not fire
+const CASES = [
+    { name: 'dynamic property', code: 'obj.%name% := 1', clean: ['v1-deref'] },
+    { name: 'dynamic call', code: '%fn%()', clean: ['v1-deref'] },
+    { name: 'dynamic item', code: 'x := %name%[1]', clean: ['v1-deref'] },
+    { name: 'command argument', code: 'Send %key%', reports: ['v1-deref'] },
+    { name: 'deref in string', code: 'MsgBox "Hello %name%"', reports: ['v1-deref'] }
+];
+
+/**
+ * Check one case
+ * Returns a list of failure messages (empty when it passes)
+ */
+function checkCase(testCase) {
+    const rules = new Set(lintAhk(`#Requires AutoHotkey v2.0\n${testCase.code}`).map(finding => finding.rule));
+    const failures = [];
+
+    for (const rule of testCase.reports || []) {
+        if (!rules.has(rule)) failures.push(`expected ${rule}`);
+    }
+    for (const rule of testCase.clean || []) {
+        if (rules.has(rule)) failures.push(`unexpected ${rule}`);
+    }
+
+    return failures;
+}
+
+/**
+ * Check every case and report
+ * Returns true when all pass
+ */
+function checkLint() {
+    let failed = 0;
+
+    for (const testCase of CASES) {
+        const failures = checkCase(testCase);
+        if (failures.length) {
+            failed++;
+            console.log(`FAIL ${testCase.name}: ${testCase.code}`);
+            failures.forEach(failure => console.log(`  ${failure}`));
+        } else {
+            console.log(`ok   ${testCase.name}`);
+        }
+    }
+
+    console.log(`\n${CASES.length - failed}/${CASES.length} lint cases passed`);
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exitCode = checkLint() ? 0 : 1;
+}
+
+module.exports = {
+    CASES,
+    checkCase,
+    checkLint
+};
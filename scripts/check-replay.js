@@ -0,0 +1,104 @@
+/**
+ * Replay Check
+ *
+ * Runs the fetch pipeline offline against the GitHub responses recorded in
+ * fixtures/replay/responses/ and fails unless two runs give the same
+ * manifest and that manifest matches fixtures/replay/expected-manifest.json:
+ *
+ *   node scripts/check-replay.js
+ *   node scripts/check-replay.js --update   # accept the current output
+ *
+ * Each run starts from fixtures/replay/manifest.json in a temporary
+ * directory, so nothing in the working tree is touched. The responses
+ * cover the sample repos in fixtures/repos/ (v2, v1, mixed and a v2
+ * library with a v1 leftover) and a created: date-window search. They were
+ * recorded against a local stand-in for the GitHub API, with the options
+ * below plus --record and --now; re-record them the same way when the
+ * requests the build sends change.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const REPLAY_DIR = path.join(__dirname, '..', 'fixtures', 'replay');
+const RESPONSES_DIR = path.join(REPLAY_DIR, 'responses');
+const BASE_MANIFEST = path.join(REPLAY_DIR, 'manifest.json');
+const EXPECTED_MANIFEST = path.join(REPLAY_DIR, 'expected-manifest.json');
+
+// The build options the responses were recorded with
+const BUILD_ARGS = ['--fetch', '--prune', '--validate', '--strict', '--query', 'autohotkey v2 fixtures', '--limit', '5'];
+
+// Settings that would change what the build requests or keeps
+const IGNORED_ENV = ['AHK_FEED_LIMIT', 'AHK_SEARCH_QUERY', 'AHK_GITHUB_API', 'AHK_KEEP_V1', 'GITHUB_TOKEN'];
+
+/**
+ * Run one replayed build in a temporary directory
+ * Returns the manifest it saved, as text
+ */
+function replayBuild() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ahk-replay-'));
+    const manifestPath = path.join(dir, 'ahk-scripts.json');
+    const env = { ...process.env };
+    IGNORED_ENV.forEach(name => delete env[name]);
+
+    try {
+        fs.copyFileSync(BASE_MANIFEST, manifestPath);
+        execFileSync(process.execPath, [
+            path.join(__dirname, 'build.js'),
+            ...BUILD_ARGS,
+            '--replay', RESPONSES_DIR,
+            '--manifest', manifestPath
+        ], { env, stdio: ['ignore', 'ignore', 'inherit'] });
+        return fs.readFileSync(manifestPath, 'utf8');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Replay twice and compare
+ * Returns true when the check passes
+ */
+function checkReplay({ update = false } = {}) {
+    const first = replayBuild();
+    const second = replayBuild();
+
+    if (first !== second) {
+        console.log('FAIL two replays of the same responses gave different manifests');
+        return false;
+    }
+
+    if (update) {
+        fs.writeFileSync(EXPECTED_MANIFEST, first, 'utf8');
+        console.log(`Updated ${path.relative(process.cwd(), EXPECTED_MANIFEST)}`);
+        return true;
+    }
+
+    const expected = fs.existsSync(EXPECTED_MANIFEST) ? fs.readFileSync(EXPECTED_MANIFEST, 'utf8') : null;
+    if (first !== expected) {
+        console.log(`FAIL replayed manifest differs from ${path.relative(process.cwd(), EXPECTED_MANIFEST)}`);
+        console.log('  Run with --update to accept the new output after checking it');
+        return false;
+    }
+
+    const { scripts } = JSON.parse(first);
+    console.log(`ok   replay is reproducible and matches the expected manifest (${scripts.length} scripts)`);
+    return true;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = checkReplay({ update: process.argv.includes('--update') }) ? 0 : 1;
+    } catch (error) {
+        console.log(`FAIL replayed build did not complete: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    BUILD_ARGS,
+    replayBuild,
+    checkReplay
+};
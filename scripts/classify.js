@@ -0,0 +1,306 @@
+/**
+ * Category and Difficulty Classifier
+ *
+ * Maps GitHub entries onto the manifest's categories from their topics,
+ * title and description keywords and the features of their code excerpt,
+ * and estimates difficulty from code complexity. build.js runs it after
+ * fetching; manual overrides (scripts/classification-overrides.json) always
+ * win.
+ *
+ * Results carry a 0..1 confidence, like ahkVersionConfidence. Entries with
+ * too little evidence keep 'GitHub Repository' and 'varies'.
+ */
+
+const { stripComments, stripStrings } = require('./ahk-version');
+const { stripFence } = require('./ahk-lint');
+const { tokenizeText } = require('./search-index');
+const { isBoilerplateCode } = require('./repo-excerpt');
+
+const UNCLASSIFIED_CATEGORY = 'GitHub Repository';
+const UNCLASSIFIED_DIFFICULTY = 'varies';
+
+// Evidence weights
+const TOPIC_WEIGHT = 3;
+const TITLE_WEIGHT = 2;
+const DESCRIPTION_WEIGHT = 1.5;
+
+// Best score needed to assign a category, and the score for full confidence
+const MIN_CATEGORY_SCORE = 3;
+const FULL_CATEGORY_SCORE = 9;
+
+// Lowest confidence at which a category is assigned
+const MIN_CATEGORY_CONFIDENCE = 0.25;
+
+// Tags every GitHub entry carries
+const GENERIC_TAGS = new Set(['github', 'repository', 'ahk', 'ahkv2', 'autohotkey', 'autohotkeyv2', 'v2', 'script', 'scripts']);
+
+/**
+ * Signals per category
+ * words: matched against topics, title and description terms (lower case,
+ * camelCase split, adjacent words joined: "dark mode" -> "darkmode")
+ * code: [regex, weight] matched once each against the code excerpt
+ */
+const CATEGORY_RULES = {
+    'GUI': {
+        words: ['gui', 'ui', 'window', 'dialog', 'interface', 'theme', 'darkmode', 'tooltip', 'control', 'listview', 'treeview', 'menu', 'tray', 'overlay', 'reactive'],
+        code: [[/\bGui\s*\(/, 3], [/\.OnEvent\s*\(/, 2], [/\.Add(?:Button|Edit|Text|ListView|TreeView|DropDownList|Picture)?\s*\(/, 1], [/\bMenu\s*\(/, 1]]
+    },
+    'Hotkeys': {
+        words: ['hotkey', 'hotkeys', 'hotstring', 'hotstrings', 'shortcut', 'shortcuts', 'keyboard', 'remap', 'layout', 'capslock', 'keys', 'autocorrect', 'mouse', 'gestures'],
+        code: [[/^\s*[#!^+<>*~$]*[\w\s&]+::/m, 3], [/\bHotkey\s*\(/, 2], [/^\s*#HotIf\b/m, 2], [/^\s*:[*?BCOPRSTXZ0-9]*:[^:]+::/m, 2]]
+    },
+    'File Operations': {
+        words: ['file', 'files', 'folder', 'directory', 'filesystem', 'backup', 'export', 'ini', 'zip', 'csv'],
+        code: [[/\bFile(?:Read|Append|Open|Copy|Move|Delete)\s*\(/, 2], [/\bLoop\s+Files\b/, 2], [/\bDir(?:Create|Copy|Delete)\s*\(/, 1], [/\bIni(?:Read|Write)\s*\(/, 1]]
+    },
+    'System': {
+        words: ['system', 'process', 'processes', 'registry', 'service', 'startup', 'monitor', 'volume', 'brightness', 'power', 'awake', 'sleep', 'debug', 'debugging', 'dumper', 'compiler'],
+        code: [[/\bProcess(?:Exist|Close|Wait)\s*\(/, 2], [/\bReg(?:Read|Write|Delete)\s*\(/, 2], [/\bSysGet\s*\(/, 1], [/\bSound(?:Set|Get)Volume\s*\(/, 1]]
+    },
+    'Text Processing': {
+        words: ['text', 'string', 'strings', 'regex', 'parse', 'parser', 'json', 'json5', 'markdown', 'csv', 'format', 'formatter', 'msgpack', 'messagepack', 'i18n', 'locale', 'selector'],
+        code: [[/\bRegEx(?:Match|Replace)\s*\(/, 2], [/\bStr(?:Split|Replace)\s*\(/, 1], [/\bSubStr\s*\(/, 1], [/\bFormat\s*\(/, 1]]
+    },
+    'Automation': {
+        words: ['automation', 'automate', 'automated', 'macro', 'macros', 'bot', 'clicker', 'recorder', 'playback', 'spammer', 'browser', 'chrome', 'game', 'roblox', 'pixelsearch', 'imagesearch'],
+        code: [[/\b(?:Send|SendInput|SendEvent)\s*\(/, 1], [/\b(?:Click|ControlClick|MouseClick)\s*\(/, 2], [/\b(?:ImageSearch|PixelSearch|PixelGetColor)\s*\(/, 3], [/\bWin(?:Activate|WaitActive|Wait)\s*\(/, 1]]
+    },
+    'Classes': {
+        words: ['class', 'classes', 'oop', 'prototype', 'prototyping', 'library', 'framework', 'collection', 'datastructures'],
+        code: [[/^\s*class\s+\w+\s+extends\b/im, 2], [/\b__(?:Get|Set|Call|Enum|Item)\b/, 2], [/\.Prototype\b/, 2]]
+    },
+    'Networking': {
+        words: ['http', 'https', 'api', 'web', 'websocket', 'socket', 'network', 'rest', 'download', 'request', 'server', 'discord', 'telegram', 'openai', 'llm'],
+        code: [[/WinHttp\.WinHttpRequest|MSXML2\.XMLHTTP/i, 3], [/\bDownload\s*\(/, 2], [/ws2_32|winhttp\.dll|wininet/i, 2]]
+    },
+    'Windows API': {
+        words: ['winapi', 'win32', 'dllcall', 'com', 'dwm', 'gdi', 'gdip', 'directx', 'bindings', 'api'],
+        code: [[/\bDllCall\s*\(/, 2], [/\bComCall\s*\(/, 2], [/\bComObject\s*\(/, 1], [/\bNum(?:Put|Get)\s*\(/, 1], [/\bCallbackCreate\s*\(/, 1]]
+    },
+    'Utilities': {
+        words: ['utility', 'utilities', 'tool', 'tools', 'helper', 'clipboard', 'timer', 'launcher', 'productivity', 'pomodoro', 'switcher', 'cycling'],
+        code: [[/\bA_Clipboard\b/, 1], [/\bSetTimer\s*\(/, 1]]
+    }
+};
+
+// Code complexity signals: [regex, points, points per extra match, max points]
+const COMPLEXITY_SIGNALS = [
+    [/\b(?:DllCall|ComCall|NumPut|NumGet|CallbackCreate|Buffer)\s*\(/g, 2, 0.25, 3],
+    [/^\s*class\s+\w+/gim, 1, 0.5, 2],
+    [/\bextends\b|\b__(?:Get|Set|Call|Enum|Item|Delete)\b/g, 1, 0, 1],
+    [/=>|\.Bind\s*\(/g, 0.5, 0, 0.5],
+    [/\btry\b|\bthrow\b/g, 0.5, 0, 0.5]
+];
+
+// Difficulty boundaries on the complexity score
+const INTERMEDIATE_FROM = 1.5;
+const ADVANCED_FROM = 3.5;
+
+// Code lines needed for full difficulty confidence
+const FULL_CODE_LINES = 40;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Terms of a title or description, without the language's own name
+ * ("AutoHotKey" would otherwise yield the term "hotkey")
+ */
+function textTerms(text) {
+    return new Set(tokenizeText(String(text || '').replace(/auto[\s_-]*hot[\s_-]*key/gi, ' ')));
+}
+
+/**
+ * Code lines of an entry's excerpt, with comments and strings removed
+ * The old generated template has no real code
+ */
+function codeLines(script) {
+    if (!script.code || isBoilerplateCode(script.code)) return [];
+    return stripComments(stripFence(script.code))
+        .map(stripStrings)
+        .filter(line => line.trim());
+}
+
+/**
+ * Score each category for an entry
+ * Returns { [category]: score }
+ */
+function scoreCategories(script, categories, lines) {
+    const topicTerms = new Set((script.tags || [])
+        .filter(tag => !GENERIC_TAGS.has(tag.toLowerCase().replace(/[^a-z0-9]/g, '')))
+        .flatMap(tag => [...textTerms(tag)]));
+    const titleTerms = textTerms(script.title);
+    const descriptionTerms = textTerms(script.description);
+    const code = lines.join('\n');
+    const scores = {};
+
+    for (const category of categories) {
+        const rule = CATEGORY_RULES[category];
+        if (!rule) continue;
+
+        let score = 0;
+        for (const word of rule.words) {
+            if (topicTerms.has(word)) score += TOPIC_WEIGHT;
+            if (titleTerms.has(word)) score += TITLE_WEIGHT;
+            if (descriptionTerms.has(word)) score += DESCRIPTION_WEIGHT;
+        }
+        for (const [re, weight] of rule.code) {
+            if (re.test(code)) score += weight;
+        }
+        if (score > 0) scores[category] = score;
+    }
+
+    return scores;
+}
+
+/**
+ * Pick a category
+ * Confidence grows with the score and with its lead over the runner-up
+ * Returns { category, confidence }
+ */
+function classifyCategory(script, categories, lines = codeLines(script)) {
+    const ranked = Object.entries(scoreCategories(script, categories, lines))
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    if (!ranked.length || ranked[0][1] < MIN_CATEGORY_SCORE) {
+        return { category: UNCLASSIFIED_CATEGORY, confidence: 0 };
+    }
+
+    const [best, score] = ranked[0];
+    const runnerUp = ranked[1] ? ranked[1][1] : 0;
+    const confidence = round(Math.min(1, score / FULL_CATEGORY_SCORE) * (0.5 + 0.5 * (score - runnerUp) / score));
+
+    if (confidence < MIN_CATEGORY_CONFIDENCE) {
+        return { category: UNCLASSIFIED_CATEGORY, confidence: 0 };
+    }
+    return { category: best, confidence };
+}
+
+/**
+ * Estimate difficulty from code complexity
+ * Confidence grows with the amount of code and the distance from the
+ * nearest level boundary
+ * Returns { difficulty, confidence, score }
+ */
+function classifyDifficulty(lines) {
+    if (!lines.length) {
+        return { difficulty: UNCLASSIFIED_DIFFICULTY, confidence: 0, score: 0 };
+    }
+
+    const code = lines.join('\n');
+    let score = lines.length >= 150 ? 2 : lines.length >= 40 ? 1 : 0;
+
+    for (const [re, points, extra, max] of COMPLEXITY_SIGNALS) {
+        const count = (code.match(re) || []).length;
+        if (count) score += Math.min(max, points + extra * (count - 1));
+    }
+
+    const difficulty = score >= ADVANCED_FROM ? 'advanced' : score >= INTERMEDIATE_FROM ? 'intermediate' : 'beginner';
+    const margin = Math.min(Math.abs(score - INTERMEDIATE_FROM), Math.abs(score - ADVANCED_FROM));
+    const confidence = round(Math.min(1, lines.length / FULL_CODE_LINES) * (0.5 + 0.5 * Math.min(1, margin)));
+
+    return { difficulty, confidence, score: round(score) };
+}
+
+/**
+ * Classify one entry
+ * Returns { category, categoryConfidence, difficulty, difficultyConfidence }
+ */
+function classifyScript(script, categories) {
+    const lines = codeLines(script);
+    const category = classifyCategory(script, categories, lines);
+    const difficulty = classifyDifficulty(lines);
+
+    return {
+        category: category.category,
+        categoryConfidence: category.confidence,
+        difficulty: difficulty.difficulty,
+        difficultyConfidence: difficulty.confidence
+    };
+}
+
+/**
+ * Check an overrides file's entries
+ * overrides: { [id]: { category?, difficulty? } }
+ * Returns a list of error messages
+ */
+function validateOverrides(overrides, categories, difficulties) {
+    const errors = [];
+
+    for (const [id, override] of Object.entries(overrides || {})) {
+        if (!override || typeof override !== 'object') {
+            errors.push(`${id}: override must be an object`);
+            continue;
+        }
+        for (const key of Object.keys(override)) {
+            if (key !== 'category' && key !== 'difficulty') errors.push(`${id}: unknown field "${key}"`);
+        }
+        if (override.category !== undefined && !categories.includes(override.category)) {
+            errors.push(`${id}: category "${override.category}" is not listed in manifest.categories`);
+        }
+        if (override.difficulty !== undefined && !difficulties.includes(override.difficulty)) {
+            errors.push(`${id}: difficulty "${override.difficulty}" must be one of ${difficulties.join(', ')}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Classify the GitHub entries of a manifest in place and apply overrides
+ * Entries the classifier cannot place fall back to the default category
+ * of the search query that found them (defaultCategories: { [query name]:
+ * category }). Overrides apply to any entry and set confidence 1.
+ * Returns { changed, classified, overridden }
+ */
+function classifyManifest(manifest, overrides = {}, defaultCategories = {}) {
+    const categories = (manifest.categories || []).filter(category => category !== UNCLASSIFIED_CATEGORY);
+    let changed = 0;
+    let classified = 0;
+    let overridden = 0;
+
+    for (const script of manifest.scripts) {
+        if (script.removedAt) continue;
+
+        const override = overrides[script.id];
+        if (script.source !== 'github' && !override) continue;
+
+        const before = JSON.stringify([script.category, script.categoryConfidence, script.difficulty, script.difficultyConfidence]);
+
+        if (script.source === 'github') {
+            Object.assign(script, classifyScript(script, categories));
+            if (script.category !== UNCLASSIFIED_CATEGORY) {
+                classified++;
+            } else if (categories.includes(defaultCategories[script.searchQuery])) {
+                script.category = defaultCategories[script.searchQuery];
+            }
+        }
+
+        if (override) {
+            if (override.category) {
+                script.category = override.category;
+                script.categoryConfidence = 1;
+            }
+            if (override.difficulty) {
+                script.difficulty = override.difficulty;
+                script.difficultyConfidence = 1;
+            }
+            overridden++;
+        }
+
+        if (JSON.stringify([script.category, script.categoryConfidence, script.difficulty, script.difficultyConfidence]) !== before) {
+            changed++;
+        }
+    }
+
+    return { changed, classified, overridden };
+}
+
+module.exports = {
+    UNCLASSIFIED_CATEGORY,
+    UNCLASSIFIED_DIFFICULTY,
+    CATEGORY_RULES,
+    classifyCategory,
+    classifyDifficulty,
+    classifyScript,
+    validateOverrides,
+    classifyManifest
+};
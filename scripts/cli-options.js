@@ -0,0 +1,116 @@
+/**
+ * Command-Line Options
+ *
+ * Parses build.js arguments against a list of option definitions, and
+ * renders the options section of the help text from the same list.
+ *
+ * A definition is { name, description, type, arg, arity, multiple }:
+ *   type      'boolean' (default), 'string' or 'number'
+ *   arg       Value placeholder shown in help, e.g. 'DIR'
+ *   arity     Number of values taken (default 1), e.g. 2 for --diff OLD NEW
+ *   multiple  Repeatable; values collect into an array, commas split
+ *
+ * Values follow the option (--out dist) or use = (--out=dist). Parsed
+ * options are keyed by camelCase name: --dry-run -> options.dryRun.
+ */
+
+/**
+ * 'test-ratio' -> 'testRatio'
+ */
+function optionKey(name) {
+    return name.replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+}
+
+/**
+ * Convert one option value to its type
+ */
+function convertValue(definition, value) {
+    if (definition.type !== 'number') return value;
+
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number)) {
+        throw new Error(`--${definition.name} expects a number, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Parse arguments
+ * Throws on unknown options, missing values and stray arguments
+ */
+function parseArgs(argv, definitions) {
+    const byName = new Map(definitions.map(definition => [definition.name, definition]));
+    const options = {};
+
+    for (const definition of definitions) {
+        if (definition.multiple) options[optionKey(definition.name)] = [];
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+
+        const eq = arg.indexOf('=');
+        const name = arg.slice(2, eq === -1 ? undefined : eq);
+        const inline = eq === -1 ? undefined : arg.slice(eq + 1);
+        const definition = byName.get(name);
+        if (!definition) {
+            throw new Error(`Unknown option --${name} (see --help)`);
+        }
+
+        const key = optionKey(name);
+        if (!definition.type || definition.type === 'boolean') {
+            if (inline !== undefined) throw new Error(`--${name} does not take a value`);
+            options[key] = true;
+            continue;
+        }
+
+        const arity = definition.arity || 1;
+        const values = inline === undefined ? [] : [inline];
+        while (values.length < arity) {
+            const next = argv[i + 1];
+            if (next === undefined || next.startsWith('--')) {
+                throw new Error(`--${name} needs ${definition.arg || 'a value'}`);
+            }
+            values.push(next);
+            i++;
+        }
+
+        if (definition.multiple) {
+            for (const value of values) {
+                options[key].push(...value.split(',').map(v => v.trim()).filter(Boolean).map(v => convertValue(definition, v)));
+            }
+        } else {
+            const converted = values.map(value => convertValue(definition, value));
+            options[key] = arity > 1 ? converted : converted[0];
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Render the options section of the help text
+ */
+function renderOptionsHelp(definitions, indent = '  ') {
+    const flags = definitions.map(definition => `--${definition.name}${definition.arg ? ` ${definition.arg}` : ''}`);
+    const width = Math.max(...flags.map(flag => flag.length)) + 2;
+
+    return definitions
+        .map((definition, i) => {
+            const [first, ...rest] = definition.description.split('\n');
+            return [
+                `${indent}${flags[i].padEnd(width)}${first}`,
+                ...rest.map(line => `${indent}${' '.repeat(width)}${line}`)
+            ].join('\n');
+        })
+        .join('\n');
+}
+
+module.exports = {
+    optionKey,
+    parseArgs,
+    renderOptionsHelp
+};
@@ -0,0 +1,219 @@
+/**
+ * Collection Statistics
+ *
+ * One stats shape for the build (`build.js --stats`), ScriptUpdateManager
+ * (`getStats()`) and the growth charts on stats.html. Every build run
+ * with --stats or --export appends a dated snapshot to
+ * scripts/stats-history.json; historySeries() turns that history into
+ * chart series per category, difficulty and source.
+ *
+ * Tombstoned entries (removedAt, see --prune) are counted separately and
+ * left out of every breakdown.
+ */
+
+// Breakdowns kept in history snapshots and charted on stats.html
+const HISTORY_FIELDS = ['categories', 'difficulties', 'sources'];
+
+const TOP_TAG_COUNT = 10;
+
+/**
+ * Count values into an object sorted by count, then name
+ */
+function countBy(items, key) {
+    const counts = {};
+    for (const item of items) {
+        const value = key(item);
+        if (value === undefined || value === null || value === '') continue;
+        counts[value] = (counts[value] || 0) + 1;
+    }
+    return Object.fromEntries(
+        Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    );
+}
+
+/**
+ * Compute statistics for a list of scripts
+ *
+ * Returns {
+ *   totalScripts, removedScripts, lastUpdated, version,
+ *   categories, difficulties, sources, ahkVersions: { name: count },
+ *   topTags: [{ tag, count }]
+ * }
+ * ahkVersions only counts entries with a detected version (GitHub repos).
+ */
+function computeStats(scripts, { lastUpdated = null, version = null } = {}) {
+    const all = scripts || [];
+    const live = all.filter(script => script && !script.removedAt);
+    const tags = countBy(live.flatMap(script => script.tags || []), tag => tag);
+
+    return {
+        totalScripts: live.length,
+        removedScripts: all.length - live.length,
+        lastUpdated,
+        version,
+        categories: countBy(live, script => script.category),
+        difficulties: countBy(live, script => script.difficulty),
+        sources: countBy(live, script => script.source || 'local'),
+        ahkVersions: countBy(live, script => script.ahkVersion),
+        topTags: Object.entries(tags)
+            .slice(0, TOP_TAG_COUNT)
+            .map(([tag, count]) => ({ tag, count }))
+    };
+}
+
+/**
+ * The part of a stats object kept in stats-history.json
+ * date is YYYY-MM-DD
+ */
+function statsSnapshot(stats, date) {
+    const snapshot = { date, totalScripts: stats.totalScripts };
+    for (const field of HISTORY_FIELDS) snapshot[field] = stats[field];
+    return snapshot;
+}
+
+/**
+ * Add a snapshot to a history, oldest first
+ * A snapshot for a date already in the history replaces it, so several
+ * builds on one day leave one point per chart
+ */
+function appendSnapshot(history, snapshot) {
+    return [...(history || []).filter(entry => entry.date !== snapshot.date), snapshot]
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Chart series for one breakdown of a history
+ * Returns { dates, series: [{ name, values }] }, series ordered by their
+ * latest count, with 0 for dates before a name first appeared
+ */
+function historySeries(history, field) {
+    const entries = history || [];
+    const latest = entries.length ? entries[entries.length - 1][field] || {} : {};
+    const names = [...new Set(entries.flatMap(entry => Object.keys(entry[field] || {})))]
+        .sort((a, b) => (latest[b] || 0) - (latest[a] || 0) || a.localeCompare(b));
+
+    return {
+        dates: entries.map(entry => entry.date),
+        series: names.map(name => ({
+            name,
+            values: entries.map(entry => (entry[field] || {})[name] || 0)
+        }))
+    };
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Breakdown sections in rendered reports: [stats key, heading, column]
+const REPORT_SECTIONS = [
+    ['categories', 'By Category', 'Category'],
+    ['difficulties', 'By Difficulty', 'Difficulty'],
+    ['sources', 'By Source', 'Source'],
+    ['ahkVersions', 'By AHK Version', 'Version']
+];
+
+/**
+ * Render stats as Markdown
+ */
+function renderStatsMarkdown(stats) {
+    const lines = ['# Script Collection Statistics', ''];
+    lines.push(`- Total scripts: ${stats.totalScripts}`);
+    if (stats.removedScripts) lines.push(`- Removed repos: ${stats.removedScripts}`);
+    if (stats.version) lines.push(`- Manifest version: ${stats.version}`);
+    lines.push(`- Last updated: ${stats.lastUpdated || 'Never'}`);
+
+    const cell = (text) => String(text).replace(/\|/g, '\\|');
+    for (const [key, heading, column] of REPORT_SECTIONS) {
+        const entries = Object.entries(stats[key] || {});
+        if (!entries.length) continue;
+        lines.push('', `## ${heading}`, '', `| ${column} | Scripts |`, '| --- | ---: |');
+        for (const [name, count] of entries) lines.push(`| ${cell(name)} | ${count} |`);
+    }
+
+    if (stats.topTags.length) {
+        lines.push('', '## Top Tags', '', '| Tag | Scripts |', '| --- | ---: |');
+        for (const { tag, count } of stats.topTags) lines.push(`| ${cell(tag)} | ${count} |`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render stats as a standalone HTML document
+ */
+function renderStatsHtml(stats) {
+    const table = (column, entries) => `
+  <table>
+    <thead><tr><th>${escapeHtml(column)}</th><th>Scripts</th></tr></thead>
+    <tbody>
+${entries.map(([name, count]) => `      <tr><td>${escapeHtml(name)}</td><td>${count}</td></tr>`).join('\n')}
+    </tbody>
+  </table>`;
+
+    const sections = REPORT_SECTIONS
+        .filter(([key]) => Object.keys(stats[key] || {}).length)
+        .map(([key, heading, column]) => `  <h2>${heading}</h2>${table(column, Object.entries(stats[key]))}`);
+    if (stats.topTags.length) {
+        sections.push(`  <h2>Top Tags</h2>${table('Tag', stats.topTags.map(({ tag, count }) => [tag, count]))}`);
+    }
+
+    const summary = [
+        `<li>Total scripts: ${stats.totalScripts}</li>`,
+        stats.removedScripts ? `<li>Removed repos: ${stats.removedScripts}</li>` : '',
+        stats.version ? `<li>Manifest version: ${escapeHtml(stats.version)}</li>` : '',
+        `<li>Last updated: ${escapeHtml(stats.lastUpdated || 'Never')}</li>`
+    ].filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Script Collection Statistics</title>
+  <style>
+    body { font-family: sans-serif; max-width: 720px; margin: 24px auto; padding: 0 16px; }
+    table { border-collapse: collapse; margin-bottom: 16px; }
+    th, td { padding: 4px 12px; border-bottom: 1px solid #ddd; text-align: left; }
+    td:last-child, th:last-child { text-align: right; }
+  </style>
+</head>
+<body>
+  <h1>Script Collection Statistics</h1>
+  <ul>
+    ${summary.join('\n    ')}
+  </ul>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HISTORY_FIELDS,
+        computeStats,
+        statsSnapshot,
+        appendSnapshot,
+        historySeries,
+        renderStatsMarkdown,
+        renderStatsHtml
+    };
+} else if (typeof window !== 'undefined') {
+    window.AhkCollectionStats = {
+        HISTORY_FIELDS,
+        computeStats,
+        statsSnapshot,
+        appendSnapshot,
+        historySeries,
+        renderStatsMarkdown,
+        renderStatsHtml
+    };
+}
@@ -0,0 +1,292 @@
+/**
+ * Near-Duplicate Detection
+ *
+ * Finds manifest entries whose code is the same snippet under another id:
+ * a script added twice, or a GitHub excerpt of a curated script. Code is
+ * normalized before comparing, so comments, whitespace, string contents,
+ * letter case and renamed variables, parameters, functions and classes do
+ * not hide a copy:
+ *
+ *   counter := 0             ->  $ := 0
+ *   Inc(step) {              ->  $ ( $ ) {
+ *       global counter       ->  global $
+ *       counter += step      ->  $ += $
+ *       MsgBox("Count: " counter)  ->  msgbox ( "" $ )
+ *   }
+ *
+ * Every defined name becomes the same placeholder, so a rename anywhere in
+ * the code cannot shift the tokens around it.
+ *
+ * Each entry gets a winnowed set of k-gram hashes (its fingerprint), and
+ * two entries' similarity is the Jaccard index of their fingerprints.
+ * Entries above the threshold are grouped into clusters; the curated, then
+ * oldest, entry of a cluster is its canonical copy.
+ */
+
+const { stripComments } = require('./ahk-version');
+const { stripFence } = require('./ahk-lint');
+const { isBoilerplateCode } = require('./repo-excerpt');
+
+const DEFAULT_THRESHOLD = 0.7;
+
+// Tokens per k-gram and k-grams per winnowing window
+const KGRAM_SIZE = 5;
+const WINDOW_SIZE = 4;
+
+// Shorter code matches too easily to be worth comparing
+const MIN_TOKENS = 30;
+
+const TOKEN_RE = /"(?:[^"`\n]|`.)*"|'(?:[^'`\n]|`.)*'|[A-Za-z_]\w*|0x[0-9a-fA-F]+|\d+(?:\.\d+)?|:=|\+=|-=|\*=|\/=|\.=|==|!=|<=|>=|=>|&&|\|\||[^\s\w]/g;
+
+const CONTROL_WORDS = new Set(['if', 'while', 'for', 'loop', 'switch', 'catch', 'return', 'until', 'else', 'try']);
+
+// Function and method definitions: name(params) followed by a body
+const FUNCTION_DEF_RE = /^\s*(?:static\s+)?([A-Za-z_]\w*)\(([^()\n]*)\)\s*(?:\{|=>|\n\s*\{)/gm;
+
+// Declarations whose names are the snippet's own and can be renamed
+const DEFINITION_RES = [
+    /(?:^|\W)([A-Za-z_]\w*)\s*(?::=|\+=|-=|\*=|\/=|\.=)/g,       // variable or property assignment
+    /^\s*class\s+([A-Za-z_]\w*)/gim,                             // class
+    /\bfor\s+([A-Za-z_]\w*)(?:\s*,\s*([A-Za-z_]\w*))?\s+in\b/gi,  // loop variables
+    /\bcatch\b[^\n{]*?\bas\s+([A-Za-z_]\w*)/gi,                   // caught error
+    /\b(?:global|local|static)\s+([A-Za-z_]\w*)/gi                // declared variable
+];
+
+/**
+ * Names the code defines: variables, functions, methods, classes and
+ * parameters (lower-cased)
+ */
+function definedNames(code) {
+    const names = new Set();
+
+    for (const re of DEFINITION_RES) {
+        for (const match of code.matchAll(re)) {
+            for (const name of match.slice(1)) {
+                if (name && !CONTROL_WORDS.has(name.toLowerCase())) names.add(name.toLowerCase());
+            }
+        }
+    }
+
+    // Functions and methods, and their parameters
+    for (const match of code.matchAll(FUNCTION_DEF_RE)) {
+        if (CONTROL_WORDS.has(match[1].toLowerCase())) continue;
+        names.add(match[1].toLowerCase());
+        for (const param of match[2].split(',')) {
+            const name = param.trim().match(/^&?([A-Za-z_]\w*)/);
+            if (name) names.add(name[1].toLowerCase());
+        }
+    }
+
+    return names;
+}
+
+/**
+ * Normalize AHK code into a list of tokens
+ * Comments are dropped, strings become "", identifiers are lower-cased and
+ * names the code defines become $
+ */
+function normalizeCode(code) {
+    const source = stripComments(stripFence(code || '')).join('\n');
+    const tokens = source.match(TOKEN_RE) || [];
+    const defined = definedNames(source);
+
+    return tokens.map(token => {
+        if (token[0] === '"' || token[0] === "'") return '""';
+        if (!/^[A-Za-z_]/.test(token)) return token;
+
+        const lower = token.toLowerCase();
+        return defined.has(lower) ? '$' : lower;
+    });
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Winnowed fingerprint of a token list: a Set of k-gram hashes
+ * Keeps the smallest hash of every window of WINDOW_SIZE k-grams, so
+ * copies share most of their fingerprint even when lines are added or cut
+ */
+function fingerprint(tokens) {
+    const hashes = [];
+    for (let i = 0; i + KGRAM_SIZE <= tokens.length; i++) {
+        hashes.push(hashString(tokens.slice(i, i + KGRAM_SIZE).join(' ')));
+    }
+
+    const selected = new Set();
+    if (hashes.length <= WINDOW_SIZE) {
+        hashes.forEach(hash => selected.add(hash));
+        return selected;
+    }
+    for (let i = 0; i + WINDOW_SIZE <= hashes.length; i++) {
+        selected.add(Math.min(...hashes.slice(i, i + WINDOW_SIZE)));
+    }
+    return selected;
+}
+
+/**
+ * Jaccard index of two fingerprints (0..1)
+ */
+function similarity(a, b) {
+    if (!a.size || !b.size) return 0;
+
+    let shared = 0;
+    for (const hash of a) {
+        if (b.has(hash)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Fingerprint every comparable entry
+ * Tombstones, the old generated template and very short code are skipped
+ * Returns a Map of id -> { script, tokens, fingerprint }
+ */
+function fingerprintScripts(scripts) {
+    const result = new Map();
+
+    for (const script of scripts) {
+        if (!script || !script.id || script.removedAt || !script.code || isBoilerplateCode(script.code)) continue;
+        const tokens = normalizeCode(script.code);
+        if (tokens.length < MIN_TOKENS) continue;
+        result.set(script.id, { script, tokens, fingerprint: fingerprint(tokens) });
+    }
+
+    return result;
+}
+
+/**
+ * Order entries by which should be kept: curated before GitHub, then
+ * oldest, then by id
+ */
+function canonicalOrder(a, b) {
+    const githubA = a.source === 'github' ? 1 : 0;
+    const githubB = b.source === 'github' ? 1 : 0;
+    if (githubA !== githubB) return githubA - githubB;
+
+    const dateA = new Date(a.dateAdded).getTime() || Infinity;
+    const dateB = new Date(b.dateAdded).getTime() || Infinity;
+    if (dateA !== dateB) return dateA - dateB;
+
+    return a.id.localeCompare(b.id);
+}
+
+/**
+ * Find clusters of near-duplicate entries
+ *
+ * Returns [{
+ *   canonical: id,
+ *   duplicates: [{ id, score }],   // score: similarity to the canonical entry
+ *   score                          // highest pair similarity in the cluster
+ * }], largest clusters first. A cluster links entries through any pair at
+ * or above threshold, so a member can score lower against the canonical
+ * entry than the threshold itself.
+ */
+function findDuplicates(scripts, { threshold = DEFAULT_THRESHOLD } = {}) {
+    const entries = fingerprintScripts(scripts);
+
+    // Only pairs sharing at least one hash can be similar
+    const byHash = new Map();
+    for (const [id, entry] of entries) {
+        for (const hash of entry.fingerprint) {
+            if (!byHash.has(hash)) byHash.set(hash, []);
+            byHash.get(hash).push(id);
+        }
+    }
+    const candidates = new Set();
+    for (const ids of byHash.values()) {
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                candidates.add(ids[i] < ids[j] ? `${ids[i]}\n${ids[j]}` : `${ids[j]}\n${ids[i]}`);
+            }
+        }
+    }
+
+    // Union-find over pairs above the threshold
+    const parent = new Map();
+    const find = (id) => {
+        while (parent.get(id) !== id) id = parent.get(id);
+        return id;
+    };
+    const best = new Map();
+    for (const pair of candidates) {
+        const [a, b] = pair.split('\n');
+        const score = similarity(entries.get(a).fingerprint, entries.get(b).fingerprint);
+        if (score < threshold) continue;
+
+        for (const id of [a, b]) {
+            if (!parent.has(id)) parent.set(id, id);
+        }
+        const [rootA, rootB] = [find(a), find(b)];
+        if (rootA !== rootB) parent.set(rootA, rootB);
+        best.set(pair, score);
+    }
+
+    const groups = new Map();
+    for (const id of parent.keys()) {
+        const root = find(id);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(entries.get(id).script);
+    }
+
+    const clusters = [...groups.values()].map(members => {
+        const [canonical, ...rest] = [...members].sort(canonicalOrder);
+        const ids = new Set(members.map(script => script.id));
+        const scores = [...best].filter(([pair]) => pair.split('\n').every(id => ids.has(id))).map(([, score]) => score);
+        const round = (score) => Math.round(score * 1000) / 1000;
+
+        return {
+            canonical: canonical.id,
+            duplicates: rest.map(script => ({
+                id: script.id,
+                score: round(similarity(entries.get(canonical.id).fingerprint, entries.get(script.id).fingerprint))
+            })).sort((a, b) => b.score - a.score || a.id.localeCompare(b.id)),
+            score: round(Math.max(...scores))
+        };
+    });
+
+    return clusters.sort((a, b) => b.duplicates.length - a.duplicates.length || b.score - a.score || a.canonical.localeCompare(b.canonical));
+}
+
+/**
+ * Set duplicateOf on every non-canonical member of a cluster and clear it
+ * everywhere else
+ * Returns the number of entries whose link changed
+ */
+function applyDuplicateLinks(scripts, clusters) {
+    const links = new Map();
+    for (const cluster of clusters) {
+        for (const duplicate of cluster.duplicates) links.set(duplicate.id, cluster.canonical);
+    }
+
+    let changed = 0;
+    for (const script of scripts) {
+        const link = links.get(script.id);
+        if (link === script.duplicateOf) continue;
+        if (link) {
+            script.duplicateOf = link;
+        } else {
+            delete script.duplicateOf;
+        }
+        changed++;
+    }
+    return changed;
+}
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    normalizeCode,
+    fingerprint,
+    similarity,
+    findDuplicates,
+    applyDuplicateLinks
+};
@@ -0,0 +1,96 @@
+/**
+ * Evaluation Dataset Export
+ *
+ * Turns curated manifest entries into JSONL task records for fine-tuning
+ * and benchmarking LLMs on AHK v2. Each record pairs an instruction built
+ * from the title, description and tags with the reference solution from
+ * `code`. The train/test split is a hash of the id, so a script stays in the
+ * same split across builds no matter what else is added. Near-duplicates
+ * (duplicateOf, see --link-duplicates) take their canonical entry's split,
+ * so a task never appears in both.
+ */
+
+const crypto = require('crypto');
+const { stripFence } = require('./ahk-lint');
+
+const DEFAULT_TEST_RATIO = 0.2;
+
+/**
+ * Whether an entry is an auto-generated GitHub placeholder rather than a
+ * curated script with a real reference solution
+ */
+function isPlaceholder(script) {
+    return script.source === 'github';
+}
+
+/**
+ * Deterministic split for an id: 'test' for roughly testRatio of ids
+ */
+function splitFor(id, testRatio = DEFAULT_TEST_RATIO) {
+    const hash = crypto.createHash('sha256').update(String(id)).digest();
+    return hash.readUInt32BE(0) / 0x100000000 < testRatio ? 'test' : 'train';
+}
+
+/**
+ * Build the task instruction for a script
+ */
+function buildInstruction(script) {
+    const lines = [
+        `Write an AutoHotkey v2 script: ${script.title}.`,
+        '',
+        script.description
+    ];
+    if (script.tags && script.tags.length) {
+        lines.push('', `Relevant topics: ${script.tags.join(', ')}.`);
+    }
+    lines.push('', 'Use AutoHotkey v2 syntax only and start with #Requires AutoHotkey v2.0.');
+    return lines.join('\n');
+}
+
+/**
+ * Build eval records from a manifest
+ *
+ * Options:
+ *   categories    Only include these categories (case-insensitive)
+ *   difficulties  Only include these difficulty levels
+ *   testRatio     Share of ids assigned to the test split (default: 0.2)
+ *
+ * Returns [{ id, instruction, reference, category, difficulty, tags, split }];
+ * a near-duplicate is split by its canonical entry's id
+ */
+function buildEvalRecords(manifest, options = {}) {
+    const categories = (options.categories || []).map(c => c.toLowerCase());
+    const difficulties = (options.difficulties || []).map(d => d.toLowerCase());
+    const testRatio = options.testRatio === undefined ? DEFAULT_TEST_RATIO : options.testRatio;
+
+    return (manifest.scripts || [])
+        .filter(script => !isPlaceholder(script))
+        .filter(script => !categories.length || categories.includes(String(script.category).toLowerCase()))
+        .filter(script => !difficulties.length || difficulties.includes(String(script.difficulty).toLowerCase()))
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .map(script => ({
+            id: script.id,
+            instruction: buildInstruction(script),
+            reference: stripFence(script.code).replace(/\r\n?/g, '\n').trim(),
+            category: script.category,
+            difficulty: script.difficulty,
+            tags: script.tags || [],
+            split: splitFor(script.duplicateOf || script.id, testRatio)
+        }));
+}
+
+/**
+ * Serialize records as JSON Lines
+ */
+function toJsonl(records) {
+    return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+}
+
+module.exports = {
+    DEFAULT_TEST_RATIO,
+    isPlaceholder,
+    splitFor,
+    buildInstruction,
+    buildEvalRecords,
+    toJsonl
+};
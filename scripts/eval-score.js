@@ -0,0 +1,277 @@
+/**
+ * Offline Scoring Harness
+ *
+ * Scores model-generated AHK v2 solutions against the manifest's reference
+ * code with static checks only, so no model or AutoHotkey install is needed:
+ *
+ *   requires     "#Requires AutoHotkey v2" is present
+ *   noV1         no v1 syntax (the linter's v1 rules)
+ *   balanced     brackets and quotes are balanced
+ *   definitions  share of the reference's classes and top-level functions
+ *                that the output also defines
+ *   similarity   token-level F1 against the reference
+ *
+ * Outputs live in a directory keyed by script id: <dir>/<model>/<id>.ahk,
+ * or <dir>/<id>.ahk for a single model named after the directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { stripComments, stripStrings } = require('./ahk-version');
+const { lintAhk, stripFence } = require('./ahk-lint');
+const { isPlaceholder } = require('./eval-dataset');
+
+// Weight of each check in a task's score (sums to 1)
+const CHECK_WEIGHTS = {
+    requires: 0.15,
+    noV1: 0.25,
+    balanced: 0.2,
+    definitions: 0.2,
+    similarity: 0.2
+};
+
+const OUTPUT_EXTENSIONS = ['.ahk', '.ah2', '.ahk2', '.txt', '.md'];
+
+const V1_RULE_RE = /^(?:v1-|requires-v1$|legacy-assign$|hotkey-return$)/;
+const STRUCTURE_RULES = ['unbalanced-brackets', 'unbalanced-quotes'];
+const CONTROL_WORDS = new Set(['if', 'while', 'for', 'loop', 'switch', 'catch', 'return', 'until', 'else', 'try']);
+
+const TOKEN_RE = /"(?:[^"`]|`.)*"|'(?:[^'`]|`.)*'|[A-Za-z_]\w*|\d+(?:\.\d+)?|:=|==|!=|<=|>=|=>|&&|\|\||[^\s\w]/g;
+
+/**
+ * Pull the code out of a model output
+ * Chat-style outputs often wrap code in a Markdown fence; the first fenced
+ * block wins, otherwise the whole output is code
+ */
+function extractCode(output) {
+    const text = String(output || '').replace(/\r\n?/g, '\n');
+    const fenced = text.match(/```[\w-]*\n([\s\S]*?)```/);
+    return fenced ? fenced[1] : text;
+}
+
+/**
+ * Class and top-level function names defined in AHK source
+ */
+function extractDefinitions(code) {
+    const lines = stripComments(code);
+    const names = new Set();
+    let depth = 0;
+
+    lines.forEach((raw, i) => {
+        const line = stripStrings(raw);
+        const trimmed = line.trim();
+
+        const cls = trimmed.match(/^class\s+([A-Za-z_]\w*)/i);
+        if (cls) names.add(cls[1]);
+
+        if (depth === 0 && !cls) {
+            const fn = trimmed.match(/^([A-Za-z_]\w*)\s*\((?:[^()]|\([^()]*\))*\)\s*(\{|=>|$)/);
+            if (fn && !CONTROL_WORDS.has(fn[1].toLowerCase())) {
+                const next = lines.slice(i + 1).find(l => l.trim());
+                if (fn[2] || (next && next.trim().startsWith('{'))) names.add(fn[1]);
+            }
+        }
+
+        depth = Math.max(0, depth + (line.match(/\{/g) || []).length - (line.match(/\}/g) || []).length);
+    });
+
+    return [...names];
+}
+
+/**
+ * Tokenize AHK source for similarity; identifiers are case-insensitive
+ */
+function tokenize(code) {
+    const tokens = stripComments(code).join('\n').match(TOKEN_RE) || [];
+    return tokens.map(token => /^[A-Za-z_]/.test(token) ? token.toLowerCase() : token);
+}
+
+/**
+ * Token-bag F1 between two token lists (0..1)
+ */
+function tokenSimilarity(a, b) {
+    if (!a.length || !b.length) return 0;
+
+    const counts = new Map();
+    for (const token of b) counts.set(token, (counts.get(token) || 0) + 1);
+
+    let overlap = 0;
+    for (const token of a) {
+        const left = counts.get(token);
+        if (left) {
+            overlap++;
+            counts.set(token, left - 1);
+        }
+    }
+
+    return (2 * overlap) / (a.length + b.length);
+}
+
+/**
+ * Round a score for output
+ */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Score one output against a reference
+ * Returns { score, passed, checks, definitions, findings }
+ */
+function scoreOutput(output, reference) {
+    const code = extractCode(output);
+    const referenceCode = stripFence(reference);
+    const findings = lintAhk(code);
+
+    const expected = extractDefinitions(referenceCode);
+    const defined = new Set(extractDefinitions(code).map(name => name.toLowerCase()));
+    const missing = expected.filter(name => !defined.has(name.toLowerCase()));
+
+    const checks = {
+        requires: findings.some(f => f.rule === 'missing-requires') ? 0 : 1,
+        noV1: findings.some(f => V1_RULE_RE.test(f.rule)) ? 0 : 1,
+        balanced: findings.some(f => STRUCTURE_RULES.includes(f.rule)) ? 0 : 1,
+        definitions: expected.length ? (expected.length - missing.length) / expected.length : 1,
+        similarity: tokenSimilarity(tokenize(code), tokenize(referenceCode))
+    };
+
+    const score = Object.entries(CHECK_WEIGHTS).reduce((sum, [check, weight]) => sum + weight * checks[check], 0);
+
+    return {
+        score: round(score),
+        passed: checks.requires === 1 && checks.noV1 === 1 && checks.balanced === 1 && checks.definitions === 1,
+        checks: Object.fromEntries(Object.entries(checks).map(([k, v]) => [k, round(v)])),
+        definitions: { expected, missing },
+        findings: findings.filter(f => f.severity === 'error').map(f => `${f.line}: ${f.rule}`)
+    };
+}
+
+/**
+ * Read the outputs of one model directory
+ * Returns a Map of script id -> output text
+ */
+function readOutputDir(dir) {
+    const outputs = new Map();
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const ext = path.extname(entry.name).toLowerCase();
+        if (!entry.isFile() || !OUTPUT_EXTENSIONS.includes(ext)) continue;
+        outputs.set(path.basename(entry.name, path.extname(entry.name)), fs.readFileSync(path.join(dir, entry.name), 'utf8'));
+    }
+
+    return outputs;
+}
+
+/**
+ * Load model outputs: one subdirectory per model, or a single model whose
+ * files sit directly in dir
+ * Returns [{ model, outputs }]
+ */
+function loadModelOutputs(dir) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`Model output directory not found: ${dir}`);
+    }
+
+    const models = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map(entry => ({ model: entry.name, outputs: readOutputDir(path.join(dir, entry.name)) }));
+
+    const direct = readOutputDir(dir);
+    if (direct.size > 0) {
+        models.push({ model: path.basename(path.resolve(dir)), outputs: direct });
+    }
+
+    return models.sort((a, b) => a.model.localeCompare(b.model));
+}
+
+/**
+ * Average score and pass rate of a list of task results
+ */
+function summarize(results) {
+    const count = results.length;
+    return {
+        tasks: count,
+        score: count ? round(results.reduce((sum, r) => sum + r.score, 0) / count) : 0,
+        passRate: count ? round(results.filter(r => r.passed).length / count) : 0
+    };
+}
+
+/**
+ * Group task results by a field and summarize each group
+ */
+function summarizeBy(results, field) {
+    const groups = {};
+    for (const result of results) {
+        (groups[result[field]] = groups[result[field]] || []).push(result);
+    }
+    return Object.fromEntries(Object.keys(groups).sort().map(key => [key, summarize(groups[key])]));
+}
+
+/**
+ * Score every model against the manifest
+ *
+ * The task set is every curated script that at least one model answered;
+ * a model with no output for a task scores 0 on it. Ids that are not
+ * curated scripts are reported in `unknown` and ignored.
+ *
+ * Returns { tasks, models: [{ model, score, passRate, coverage, byCategory,
+ * byDifficulty, checks, unknown, results }] } ranked by score
+ */
+function scoreModels(manifest, models) {
+    const scripts = new Map((manifest.scripts || [])
+        .filter(script => !isPlaceholder(script))
+        .map(script => [script.id, script]));
+
+    const taskIds = new Set();
+    for (const { outputs } of models) {
+        for (const id of outputs.keys()) {
+            if (scripts.has(id)) taskIds.add(id);
+        }
+    }
+    const tasks = [...taskIds].sort();
+
+    const ranked = models.map(({ model, outputs }) => {
+        const results = tasks.map(id => {
+            const script = scripts.get(id);
+            const base = { id, category: script.category, difficulty: script.difficulty };
+
+            if (!outputs.has(id)) {
+                return { ...base, missing: true, score: 0, passed: false, checks: null };
+            }
+            const { score, passed, checks, definitions, findings } = scoreOutput(outputs.get(id), script.code);
+            return { ...base, score, passed, checks, missingDefinitions: definitions.missing, errors: findings };
+        });
+
+        const answered = results.filter(r => !r.missing);
+        const checks = Object.fromEntries(Object.keys(CHECK_WEIGHTS).map(check => [
+            check,
+            answered.length ? round(answered.reduce((sum, r) => sum + r.checks[check], 0) / answered.length) : 0
+        ]));
+
+        return {
+            model,
+            ...summarize(results),
+            coverage: tasks.length ? round(answered.length / tasks.length) : 0,
+            checks,
+            byCategory: summarizeBy(results, 'category'),
+            byDifficulty: summarizeBy(results, 'difficulty'),
+            unknown: [...outputs.keys()].filter(id => !scripts.has(id)).sort(),
+            results
+        };
+    });
+
+    ranked.sort((a, b) => b.score - a.score || b.passRate - a.passRate || a.model.localeCompare(b.model));
+
+    return { tasks: tasks.length, weights: CHECK_WEIGHTS, models: ranked };
+}
+
+module.exports = {
+    CHECK_WEIGHTS,
+    extractCode,
+    extractDefinitions,
+    tokenize,
+    tokenSimilarity,
+    scoreOutput,
+    loadModelOutputs,
+    scoreModels
+};
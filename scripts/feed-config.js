@@ -0,0 +1,138 @@
+/**
+ * Feed Config File
+ *
+ * Loads ahk-feed.config.json, which holds the build's defaults and the
+ * named GitHub search queries to fetch:
+ *
+ *   {
+ *     "manifest": "scripts/ahk-scripts.json",
+ *     "out": "dist",
+ *     "limit": 50,
+ *     "githubApiBase": "https://api.github.com",
+ *     "queries": [
+ *       { "name": "ahk-v2" },
+ *       { "name": "gui-libs", "query": "autohotkey v2 gui library",
+ *         "limit": 20, "category": "GUI", "tags": ["gui"] }
+ *     ]
+ *   }
+ *
+ * Every key is optional. A query without "query" uses the shared
+ * definition in search-query.js. Repos found by a query get its tags, and
+ * its category when the classifier cannot place them. Paths are relative
+ * to the config file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_KEYS = ['$schema', 'manifest', 'out', 'limit', 'githubApiBase', 'queries'];
+const QUERY_KEYS = ['name', 'query', 'limit', 'category', 'tags'];
+
+/**
+ * Whether a value is a valid limit: a positive integer or "all"
+ */
+function isLimit(value) {
+    return value === 'all' || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Check a parsed config
+ * Returns a list of error messages
+ */
+function validateFeedConfig(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['must be a JSON object'];
+    }
+
+    for (const key of Object.keys(config)) {
+        if (!CONFIG_KEYS.includes(key)) errors.push(`unknown key "${key}"`);
+    }
+    for (const key of ['manifest', 'out']) {
+        if (config[key] !== undefined && (typeof config[key] !== 'string' || !config[key])) {
+            errors.push(`"${key}" must be a path`);
+        }
+    }
+    if (config.limit !== undefined && !isLimit(config.limit)) {
+        errors.push('"limit" must be a positive integer or "all"');
+    }
+    if (config.githubApiBase !== undefined && (typeof config.githubApiBase !== 'string' || !/^https?:\/\//.test(config.githubApiBase))) {
+        errors.push('"githubApiBase" must be an http(s) URL');
+    }
+
+    if (config.queries === undefined) return errors;
+    if (!Array.isArray(config.queries) || config.queries.length === 0) {
+        errors.push('"queries" must be a non-empty array');
+        return errors;
+    }
+
+    const names = new Set();
+    config.queries.forEach((query, i) => {
+        const at = `queries[${i}]`;
+        if (!query || typeof query !== 'object') {
+            errors.push(`${at} must be an object`);
+            return;
+        }
+        for (const key of Object.keys(query)) {
+            if (!QUERY_KEYS.includes(key)) errors.push(`${at}: unknown key "${key}"`);
+        }
+        if (typeof query.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(query.name)) {
+            errors.push(`${at}: "name" must be lower-case letters, digits and dashes`);
+        } else if (names.has(query.name)) {
+            errors.push(`${at}: duplicate name "${query.name}"`);
+        } else {
+            names.add(query.name);
+        }
+        if (query.query !== undefined && (typeof query.query !== 'string' || !query.query.trim())) {
+            errors.push(`${at}: "query" must be a non-empty string`);
+        }
+        if (query.limit !== undefined && !isLimit(query.limit)) {
+            errors.push(`${at}: "limit" must be a positive integer or "all"`);
+        }
+        if (query.category !== undefined && (typeof query.category !== 'string' || !query.category)) {
+            errors.push(`${at}: "category" must be a category name`);
+        }
+        if (query.tags !== undefined && (!Array.isArray(query.tags) || query.tags.some(tag => typeof tag !== 'string' || !tag))) {
+            errors.push(`${at}: "tags" must be an array of strings`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Load and check a config file, resolving its paths
+ * Returns null when the file does not exist and is not required
+ */
+function loadFeedConfig(file, required = false) {
+    if (!fs.existsSync(file)) {
+        if (required) throw new Error(`Config file not found: ${file}`);
+        return null;
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid config file ${file}: ${error.message}`);
+    }
+
+    const errors = validateFeedConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid config file ${file}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const dir = path.dirname(path.resolve(file));
+    return {
+        ...config,
+        manifest: config.manifest && path.resolve(dir, config.manifest),
+        out: config.out && path.resolve(dir, config.out)
+    };
+}
+
+module.exports = {
+    isLimit,
+    validateFeedConfig,
+    loadFeedConfig
+};
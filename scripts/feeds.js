@@ -0,0 +1,190 @@
+/**
+ * Feed Generator
+ *
+ * Builds Atom, RSS 2.0 and JSON Feed 1.1 documents from the script manifest
+ * and posts/posts.json. Entry ids are derived from script ids and post slugs
+ * only, so rebuilding never makes feed readers re-notify; an updated script
+ * keeps its id and gets a new updated date.
+ */
+
+const { scriptFilePath } = require('./script-export');
+
+const FEED_TITLE = 'AHKv2 & LLMs';
+const FEED_DESCRIPTION = 'New and updated AutoHotkey v2 scripts and articles on using AHK v2 with LLMs.';
+
+// Tag URI authority for entry ids (RFC 4151); must never change
+const TAG_AUTHORITY = 'tag:012090120901209.github.io,2025';
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Escape text for XML element content and attributes
+ */
+function escapeXml(str) {
+    return String(str === undefined || str === null ? '' : str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Parse an entry date, treating plain dates as UTC midnight
+ */
+function parseDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? new Date(0) : date;
+}
+
+/**
+ * Collect feed entries from scripts and posts, newest first
+ * The limit applies to scripts only; every post is included
+ *
+ * Each entry is { id, kind, title, url, summary, contentHtml, tags,
+ * published, updated }. Scripts without a source URL link to their
+ * exported .ahk file; options.scriptUrl and options.postUrl override the
+ * default links.
+ */
+function buildFeedEntries(manifest, postList, options = {}) {
+    const siteUrl = options.siteUrl.replace(/\/$/, '');
+    const limit = options.limit || DEFAULT_LIMIT;
+    const scripts = [];
+    const posts = [];
+
+    for (const script of manifest.scripts || []) {
+        const code = String(script.code || '').replace(/```cpp\n?|```/g, '');
+        scripts.push({
+            id: `${TAG_AUTHORITY}:script:${script.id}`,
+            kind: 'script',
+            title: script.title,
+            url: script.url || (options.scriptUrl
+                ? options.scriptUrl(script)
+                : `${siteUrl}/dist/scripts/${scriptFilePath(script).split('/').map(encodeURIComponent).join('/')}`),
+            summary: script.description,
+            contentHtml: `<p>${escapeXml(script.description)}</p>` +
+                `<p>Category: ${escapeXml(script.category)} &middot; Difficulty: ${escapeXml(script.difficulty)}</p>` +
+                (code.trim() ? `<pre><code>${escapeXml(code)}</code></pre>` : ''),
+            tags: script.tags || [],
+            published: parseDate(script.dateAdded),
+            updated: parseDate(script.lastModified || script.dateAdded)
+        });
+    }
+
+    for (const post of postList || []) {
+        posts.push({
+            id: `${TAG_AUTHORITY}:post:${post.slug}`,
+            kind: 'post',
+            title: post.title,
+            url: options.postUrl ? options.postUrl(post) : `${siteUrl}/post.html?slug=${encodeURIComponent(post.slug)}`,
+            summary: post.description,
+            contentHtml: `<p>${escapeXml(post.description)}</p>`,
+            tags: post.tags || [],
+            published: parseDate(post.date),
+            updated: parseDate(post.updated || post.date)
+        });
+    }
+
+    const newest = (a, b) => b.updated - a.updated || a.id.localeCompare(b.id);
+    return [...scripts.sort(newest).slice(0, limit), ...posts].sort(newest);
+}
+
+/**
+ * Feed-level updated date: the newest entry, so unchanged content renders
+ * byte-identical feeds
+ */
+function feedUpdated(entries) {
+    return entries.length ? entries[0].updated : new Date(0);
+}
+
+/**
+ * Render an Atom 1.0 feed
+ */
+function renderAtom(entries, options) {
+    const siteUrl = options.siteUrl.replace(/\/$/, '');
+    const items = entries.map(entry => `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" href="${escapeXml(entry.url)}"/>
+    <published>${entry.published.toISOString()}</published>
+    <updated>${entry.updated.toISOString()}</updated>
+    <summary>${escapeXml(entry.summary)}</summary>
+    <content type="html">${escapeXml(entry.contentHtml)}</content>
+${entry.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`).join('\n')}
+  </entry>`.replace(/\n\n/g, '\n'));
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${TAG_AUTHORITY}:feed</id>
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <link rel="alternate" href="${escapeXml(siteUrl)}/"/>
+  <link rel="self" href="${escapeXml(options.feedUrl)}"/>
+  <updated>${feedUpdated(entries).toISOString()}</updated>
+  <author><name>${escapeXml(FEED_TITLE)}</name></author>
+${items.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Render an RSS 2.0 feed
+ */
+function renderRss(entries, options) {
+    const siteUrl = options.siteUrl.replace(/\/$/, '');
+    const items = entries.map(entry => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>
+      <pubDate>${entry.updated.toUTCString()}</pubDate>
+      <description>${escapeXml(entry.contentHtml)}</description>
+${entry.tags.map(tag => `      <category>${escapeXml(tag)}</category>`).join('\n')}
+    </item>`.replace(/\n\n/g, '\n'));
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(FEED_TITLE)}</title>
+    <link>${escapeXml(siteUrl)}/</link>
+    <description>${escapeXml(FEED_DESCRIPTION)}</description>
+    <atom:link href="${escapeXml(options.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feedUpdated(entries).toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Render a JSON Feed 1.1 document
+ */
+function renderJsonFeed(entries, options) {
+    const siteUrl = options.siteUrl.replace(/\/$/, '');
+
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: FEED_TITLE,
+        description: FEED_DESCRIPTION,
+        home_page_url: `${siteUrl}/`,
+        feed_url: options.feedUrl,
+        language: 'en',
+        items: entries.map(entry => ({
+            id: entry.id,
+            url: entry.url,
+            title: entry.title,
+            summary: entry.summary,
+            content_html: entry.contentHtml,
+            date_published: entry.published.toISOString(),
+            date_modified: entry.updated.toISOString(),
+            tags: entry.tags,
+            _ahk: { kind: entry.kind }
+        }))
+    }, null, 2);
+}
+
+module.exports = {
+    buildFeedEntries,
+    renderAtom,
+    renderRss,
+    renderJsonFeed
+};
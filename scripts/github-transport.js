@@ -0,0 +1,149 @@
+/**
+ * GitHub API Transports
+ *
+ * build.js sends every GitHub API request through a transport: a function
+ * (apiPath, send) => Promise<{ status, headers, data }>, where send()
+ * makes the live request (with retries). liveTransport just calls send().
+ * recordTransport also saves each response to a fixture directory, and
+ * replayTransport answers from those fixtures without touching the
+ * network, so a recorded fetch can be re-run offline:
+ *
+ *   node scripts/build.js --fetch --record fixtures/github
+ *   node scripts/build.js --fetch --replay fixtures/github
+ *
+ * Each fixture is one JSON file per request path. Only the headers the
+ * build reads are kept, so fixtures never hold tokens or cookies. A
+ * recording also writes recording.json with the time it was made; the
+ * build pins its clock to that time on replay, so date-window queries and
+ * manifest dates come out the same on any day.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Response headers the build reads (pagination and rate limits)
+const RECORDED_HEADERS = ['link', 'retry-after', 'x-ratelimit-remaining', 'x-ratelimit-reset'];
+
+// Length of the readable part of a fixture name
+const MAX_NAME_LENGTH = 80;
+
+// When the fixtures in a directory were recorded
+const RECORDING_FILE = 'recording.json';
+
+/**
+ * Fixture file name for an API path
+ * '/repos/a/b/readme' -> 'repos_a_b_readme-<hash>.json'; the hash of the
+ * full path keeps long search queries apart after truncation
+ */
+function fixtureName(apiPath) {
+    const slug = String(apiPath)
+        .replace(/^\/+/, '')
+        .replace(/[^A-Za-z0-9.-]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, MAX_NAME_LENGTH);
+    const hash = crypto.createHash('sha1').update(String(apiPath)).digest('hex').slice(0, 10);
+    return `${slug || 'root'}-${hash}.json`;
+}
+
+/**
+ * Keep the recorded subset of response headers
+ */
+function pickHeaders(headers = {}) {
+    const picked = {};
+    for (const name of RECORDED_HEADERS) {
+        if (headers[name] !== undefined) picked[name] = headers[name];
+    }
+    return picked;
+}
+
+/**
+ * Send requests to the network
+ */
+function liveTransport(apiPath, send) {
+    return send();
+}
+
+/**
+ * Send requests to the network and save each response to dir
+ * recordedAt is the build's (pinned) time, kept for replays
+ */
+function recordTransport(dir, recordedAt = new Date()) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, RECORDING_FILE), JSON.stringify({ recordedAt: recordedAt.toISOString() }, null, 2) + '\n');
+
+    return async (apiPath, send) => {
+        const response = await send();
+        const fixture = {
+            method: 'GET',
+            path: apiPath,
+            status: response.status,
+            headers: pickHeaders(response.headers),
+            data: response.data
+        };
+        fs.writeFileSync(path.join(dir, fixtureName(apiPath)), JSON.stringify(fixture, null, 2) + '\n');
+        return response;
+    };
+}
+
+/**
+ * Answer requests from the fixtures in dir
+ * Throws when a request was not recorded, so a replay never falls back to
+ * the network
+ */
+function replayTransport(dir) {
+    if (!fs.existsSync(dir)) {
+        throw new Error(`Replay directory not found: ${dir}`);
+    }
+
+    return async (apiPath) => {
+        const file = path.join(dir, fixtureName(apiPath));
+        if (!fs.existsSync(file)) {
+            const error = new Error(`No recorded response for GET ${apiPath} (expected ${file})`);
+            error.code = 'ENOFIXTURE';
+            throw error;
+        }
+
+        let fixture;
+        try {
+            fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid fixture ${file}: ${error.message}`);
+        }
+        return {
+            status: fixture.status,
+            headers: fixture.headers || {},
+            data: fixture.data
+        };
+    };
+}
+
+/**
+ * When the fixtures in dir were recorded, or null when unknown
+ */
+function recordingTime(dir) {
+    const file = path.join(dir, RECORDING_FILE);
+    if (!fs.existsSync(file)) return null;
+
+    let recording;
+    try {
+        recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid recording file ${file}: ${error.message}`);
+    }
+    const date = new Date(recording.recordedAt);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid recordedAt in ${file}: "${recording.recordedAt}"`);
+    }
+    return date;
+}
+
+module.exports = {
+    RECORDED_HEADERS,
+    RECORDING_FILE,
+    fixtureName,
+    recordingTime,
+    liveTransport,
+    recordTransport,
+    replayTransport
+};
@@ -0,0 +1,154 @@
+/**
+ * Manifest Diff and Changelog
+ *
+ * Compares two versions of ahk-scripts.json entry by entry. build.js uses
+ * it to bump the manifest version and append to CHANGELOG.json whenever
+ * the manifest is saved, and `--diff <old> <new>` prints the report.
+ *
+ * Tombstones (entries with removedAt, see --prune) count as removed, and
+ * a tombstone that comes back counts as added.
+ */
+
+/**
+ * Index the live (non-tombstoned) scripts of a manifest by id
+ */
+function liveScripts(manifest) {
+    const scripts = new Map();
+    for (const script of (manifest && manifest.scripts) || []) {
+        if (script && script.id && !script.removedAt) scripts.set(script.id, script);
+    }
+    return scripts;
+}
+
+/**
+ * Fields whose values differ between two versions of an entry
+ */
+function changedFields(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys]
+        .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+        .sort();
+}
+
+/**
+ * Compare two manifests
+ *
+ * Returns {
+ *   added:   [{ id, title }],
+ *   updated: [{ id, title, fields }],
+ *   removed: [{ id, title, source, reason }]
+ * }
+ * where source is 'github' or 'local' and reason is the tombstone's
+ * removedReason, or 'deleted' when the entry is no longer in the manifest
+ * at all
+ */
+function diffManifests(oldManifest, newManifest) {
+    const before = liveScripts(oldManifest);
+    const after = liveScripts(newManifest);
+    const tombstones = new Map(
+        ((newManifest && newManifest.scripts) || [])
+            .filter(script => script && script.removedAt)
+            .map(script => [script.id, script])
+    );
+    const diff = { added: [], updated: [], removed: [] };
+
+    for (const [id, script] of after) {
+        const previous = before.get(id);
+        if (!previous) {
+            diff.added.push({ id, title: script.title });
+            continue;
+        }
+        const fields = changedFields(previous, script);
+        if (fields.length) diff.updated.push({ id, title: script.title, fields });
+    }
+
+    for (const [id, script] of before) {
+        if (after.has(id)) continue;
+        const tombstone = tombstones.get(id);
+        diff.removed.push({
+            id,
+            title: script.title,
+            source: script.source || 'local',
+            reason: tombstone ? tombstone.removedReason || 'removed' : 'deleted'
+        });
+    }
+
+    for (const list of Object.values(diff)) list.sort((a, b) => a.id.localeCompare(b.id));
+    return diff;
+}
+
+/**
+ * Whether a diff has any changes
+ */
+function hasChanges(diff) {
+    return diff.added.length > 0 || diff.updated.length > 0 || diff.removed.length > 0;
+}
+
+/**
+ * Bump a semantic version for a diff
+ * Removed curated entries break consumers that rely on their ids (major).
+ * Added entries and removed GitHub repos, which --prune tombstones on
+ * ordinary runs, are minor, and updates are patches
+ */
+function bumpVersion(version, diff) {
+    const [major = 0, minor = 0, patch = 0] = String(version || '1.0.0')
+        .split('.')
+        .map(part => parseInt(part, 10) || 0);
+
+    if (diff.removed.some(entry => entry.source !== 'github')) return `${major + 1}.0.0`;
+    if (diff.added.length || diff.removed.length) return `${major}.${minor + 1}.0`;
+    if (diff.updated.length) return `${major}.${minor}.${patch + 1}`;
+    return `${major}.${minor}.${patch}`;
+}
+
+/**
+ * Build a CHANGELOG.json entry
+ */
+function changelogEntry(diff, { from, to, date }) {
+    return {
+        version: to,
+        previousVersion: from,
+        date,
+        added: diff.added,
+        updated: diff.updated,
+        removed: diff.removed
+    };
+}
+
+/**
+ * Render a diff as a plain-text report
+ */
+function renderDiffReport(diff, { from, to } = {}) {
+    const lines = [];
+    if (from || to) lines.push(`Manifest ${from || '?'} -> ${to || '?'}`, '');
+
+    if (!hasChanges(diff)) {
+        lines.push('No changes');
+        return lines.join('\n') + '\n';
+    }
+
+    lines.push(`${diff.added.length} added, ${diff.updated.length} updated, ${diff.removed.length} removed`);
+
+    if (diff.added.length) {
+        lines.push('', 'Added:');
+        for (const entry of diff.added) lines.push(`  + ${entry.id}  ${entry.title || ''}`.trimEnd());
+    }
+    if (diff.updated.length) {
+        lines.push('', 'Updated:');
+        for (const entry of diff.updated) lines.push(`  ~ ${entry.id}  (${entry.fields.join(', ')})`);
+    }
+    if (diff.removed.length) {
+        lines.push('', 'Removed:');
+        for (const entry of diff.removed) lines.push(`  - ${entry.id}  [${entry.reason}]`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    diffManifests,
+    hasChanges,
+    bumpVersion,
+    changelogEntry,
+    renderDiffReport
+};
@@ -0,0 +1,228 @@
+/**
+ * Manifest Validator
+ *
+ * Validates scripts/ahk-scripts.json against ahk-scripts.schema.json plus
+ * the cross-entry rules a schema cannot express (known categories, unique
+ * ids, duplicateOf targets, totalScripts). Implements the subset of JSON Schema draft-07 the
+ * manifest schema uses, so the build needs no extra dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_PATH = path.join(__dirname, 'ahk-scripts.schema.json');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Load the manifest schema
+ */
+function loadSchema(schemaPath = SCHEMA_PATH) {
+    return JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+}
+
+/**
+ * Check a string against a JSON Schema format
+ */
+function checkFormat(value, format) {
+    switch (format) {
+        case 'date':
+            return DATE_RE.test(value) && !isNaN(new Date(value).getTime());
+        case 'date-time':
+            return DATE_TIME_RE.test(value) && !isNaN(new Date(value).getTime());
+        case 'uri':
+            try {
+                new URL(value);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        default:
+            return true;
+    }
+}
+
+/**
+ * JSON type name of a value, distinguishing integers and null
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Resolve a local "#/definitions/..." reference
+ */
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Validate a value against a schema
+ * Returns a list of { path, message } errors
+ */
+function validateSchema(value, schema, root = schema, at = '') {
+    if (schema.$ref) {
+        return validateSchema(value, resolveRef(schema.$ref, root), root, at);
+    }
+
+    const errors = [];
+    const where = at || '(root)';
+    const type = typeOf(value);
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = allowed.some(t => t === type || (t === 'number' && type === 'integer'));
+        if (!matches) {
+            errors.push({ path: where, message: `must be ${allowed.join(' or ')}, got ${type}` });
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: where, message: `must be one of ${schema.enum.join(', ')}, got "${value}"` });
+    }
+
+    if (schema.anyOf) {
+        const passes = schema.anyOf.some(option => validateSchema(value, option, root, at).length === 0);
+        if (!passes) {
+            const formats = schema.anyOf.map(option => option.format).filter(Boolean);
+            errors.push({
+                path: where,
+                message: formats.length ? `must be a valid ${formats.join(' or ')}` : 'does not match any allowed schema'
+            });
+        }
+    }
+
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: where, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: where, message: `must match ${schema.pattern}` });
+        }
+        if (schema.format && !checkFormat(value, schema.format)) {
+            errors.push({ path: where, message: `must be a valid ${schema.format}` });
+        }
+    }
+
+    if (type === 'integer' || type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: where, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: where, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: where, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.uniqueItems) {
+            const seen = new Set();
+            value.forEach((item, i) => {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) errors.push({ path: `${at}[${i}]`, message: `duplicate item ${key}` });
+                seen.add(key);
+            });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...validateSchema(item, schema.items, root, `${at}[${i}]`));
+            });
+        }
+    }
+
+    if (type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: at ? `${at}.${key}` : key, message: 'is required' });
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = at ? `${at}.${key}` : key;
+            if (properties[key]) {
+                errors.push(...validateSchema(child, properties[key], root, childPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not an allowed property' });
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a manifest: schema plus cross-entry consistency
+ * Returns a list of { path, message } errors; script paths include the id,
+ * e.g. 'scripts[3] (gui-dark-mode).difficulty'
+ */
+function validateManifest(manifest, schema = loadSchema()) {
+    const errors = validateSchema(manifest, schema);
+    const scripts = Array.isArray(manifest.scripts) ? manifest.scripts : [];
+    const categories = new Set(Array.isArray(manifest.categories) ? manifest.categories : []);
+    const seenIds = new Map();
+
+    scripts.forEach((script, i) => {
+        if (!script || typeof script !== 'object') return;
+        const at = `scripts[${i}]`;
+
+        if (script.category && !categories.has(script.category)) {
+            errors.push({ path: `${at}.category`, message: `"${script.category}" is not listed in manifest.categories` });
+        }
+
+        if (script.id) {
+            if (seenIds.has(script.id)) {
+                errors.push({ path: `${at}.id`, message: `duplicate id "${script.id}" (first used by scripts[${seenIds.get(script.id)}])` });
+            } else {
+                seenIds.set(script.id, i);
+            }
+        }
+
+        if (script.dateAdded && script.lastModified && new Date(script.lastModified) < new Date(script.dateAdded)) {
+            errors.push({ path: `${at}.lastModified`, message: 'is earlier than dateAdded' });
+        }
+
+        if (script.removedReason && !script.removedAt) {
+            errors.push({ path: `${at}.removedReason`, message: 'is set but removedAt is missing' });
+        }
+    });
+
+    const ids = new Set(scripts.map(script => script && script.id));
+    scripts.forEach((script, i) => {
+        if (!script || !script.duplicateOf) return;
+        if (script.duplicateOf === script.id) {
+            errors.push({ path: `scripts[${i}].duplicateOf`, message: 'points to the entry itself' });
+        } else if (!ids.has(script.duplicateOf)) {
+            errors.push({ path: `scripts[${i}].duplicateOf`, message: `"${script.duplicateOf}" is not an id in the manifest` });
+        }
+    });
+
+    if (Number.isInteger(manifest.totalScripts) && manifest.totalScripts !== scripts.length) {
+        errors.push({ path: 'totalScripts', message: `is ${manifest.totalScripts} but the manifest has ${scripts.length} scripts` });
+    }
+
+    // Name the entry in each script path so errors can be found in the file
+    return errors.map(error => {
+        const match = error.path.match(/^scripts\[(\d+)\]/);
+        const script = match && scripts[Number(match[1])];
+        if (!script || !script.id) return error;
+        return { ...error, path: error.path.replace(match[0], `${match[0]} (${script.id})`) };
+    });
+}
+
+module.exports = {
+    SCHEMA_PATH,
+    loadSchema,
+    validateSchema,
+    validateManifest
+};
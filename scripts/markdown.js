@@ -0,0 +1,334 @@
+/**
+ * Markdown Renderer
+ *
+ * Renders the subset of GitHub-flavored Markdown the posts use (headings,
+ * paragraphs, nested lists, blockquotes, tables, fenced code, inline
+ * emphasis, code and links) so build.js can prerender posts without
+ * extra dependencies. Output mirrors marked with { gfm: true, breaks: true },
+ * which post.html uses in the browser.
+ *
+ * AHK code blocks (```cpp, ```ahk, ```autohotkey) are highlighted with
+ * highlight.js class names, so the same github-dark theme styles both the
+ * prerendered and the client-rendered pages.
+ */
+
+const AHK_LANGS = ['cpp', 'ahk', 'ahk2', 'autohotkey'];
+
+const AHK_KEYWORDS = new Set([
+    'if', 'else', 'while', 'for', 'in', 'loop', 'return', 'class', 'extends', 'static',
+    'global', 'local', 'try', 'catch', 'finally', 'throw', 'break', 'continue', 'switch',
+    'case', 'default', 'until', 'goto', 'and', 'or', 'not', 'is', 'as', 'super'
+]);
+
+const AHK_LITERALS = new Set(['true', 'false', 'this', 'unset']);
+
+const AHK_BUILT_INS = new Set([
+    'msgbox', 'inputbox', 'tooltip', 'traytip', 'send', 'sendinput', 'sendtext', 'sleep',
+    'run', 'runwait', 'gui', 'map', 'array', 'object', 'buffer', 'settimer', 'hotkey',
+    'fileread', 'fileappend', 'filedelete', 'fileexist', 'direxist', 'iniread', 'iniwrite',
+    'regread', 'regwrite', 'strlen', 'strsplit', 'strreplace', 'substr', 'instr', 'format',
+    'regexmatch', 'regexreplace', 'winactivate', 'winexist', 'winactive', 'wingettitle',
+    'winwait', 'winmove', 'controlsend', 'dllcall', 'comobject', 'type', 'isset', 'isobject',
+    'integer', 'float', 'string', 'number', 'a_tickcount', 'a_scriptdir', 'a_now',
+    'a_thishotkey', 'a_clipboard', 'keywait', 'getkeystate', 'soundsetmute', 'soundgetmute',
+    'error', 'valueerror', 'typeerror', 'oserror', 'exitapp', 'reload', 'onmessage',
+    'callbackcreate', 'numget', 'numput', 'strget', 'strput', 'mousegetpos', 'click'
+]);
+
+const AHK_TOKEN_RE = new RegExp([
+    '(\\/\\*[\\s\\S]*?(?:\\*\\/|$))',                   // 1 block comment
+    '((?:^|(?<=\\s));.*)',                               // 2 line comment
+    '("(?:[^"`\\n]|`.)*"?|\'(?:[^\'`\\n]|`.)*\'?)',     // 3 string
+    '(^[ \\t]*#\\w+)',                                   // 4 directive
+    '((?<![\\w.])(?:0x[0-9a-fA-F]+|\\d+(?:\\.\\d+)?)\\b)', // 5 number
+    '(^[ \\t]*[^\\s:;"\']+::)',                          // 6 hotkey / hotstring label
+    '([A-Za-z_]\\w*)'                                    // 7 identifier
+].join('|'), 'gm');
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap text in a highlight.js span
+ */
+function span(cls, text) {
+    return `<span class="hljs-${cls}">${escapeHtml(text)}</span>`;
+}
+
+/**
+ * Highlight AutoHotkey v2 source as highlight.js-compatible HTML
+ */
+function highlightAhk(code) {
+    let html = '';
+    let last = 0;
+    let prevWord = '';
+
+    code.replace(AHK_TOKEN_RE, (match, block, line, str, directive, num, label, word, offset) => {
+        html += escapeHtml(code.slice(last, offset));
+        last = offset + match.length;
+
+        if (block || line) {
+            html += span('comment', match);
+        } else if (str) {
+            html += span('string', match);
+        } else if (directive) {
+            html += span('meta', match);
+        } else if (num) {
+            html += span('number', match);
+        } else if (label) {
+            html += span('symbol', match);
+        } else {
+            const lower = word.toLowerCase();
+            const next = code.slice(last).match(/^\s*(\()?/);
+            if (prevWord === 'class' || prevWord === 'extends') {
+                html += span('title class_', word);
+            } else if (AHK_KEYWORDS.has(lower)) {
+                html += span('keyword', word);
+            } else if (AHK_LITERALS.has(lower)) {
+                html += span('literal', word);
+            } else if (AHK_BUILT_INS.has(lower)) {
+                html += span('built_in', word);
+            } else if (next[1] && code[last - match.length - 1] !== '.') {
+                html += span('title function_', word);
+            } else {
+                html += escapeHtml(word);
+            }
+            prevWord = lower;
+            return match;
+        }
+
+        prevWord = '';
+        return match;
+    });
+
+    return html + escapeHtml(code.slice(last));
+}
+
+/**
+ * Render a fenced code block
+ */
+function renderCode(code, lang) {
+    const language = (lang || '').toLowerCase();
+    if (AHK_LANGS.includes(language)) {
+        return `<pre><code class="hljs language-${escapeHtml(language)}">${highlightAhk(code)}</code></pre>\n`;
+    }
+    const cls = language ? `hljs language-${escapeHtml(language)}` : 'hljs';
+    return `<pre><code class="${cls}">${escapeHtml(code)}</code></pre>\n`;
+}
+
+/**
+ * Render inline Markdown: code spans, links, images, emphasis
+ */
+function renderInline(text) {
+    return text.split(/(`+)([\s\S]*?[^`])\1(?!`)/).map((part, i) => {
+        // split yields [text, ticks, code, text, ticks, code, ...]
+        if (i % 3 === 1) return '';
+        if (i % 3 === 2) return `<code>${escapeHtml(part.trim())}</code>`;
+
+        return escapeHtml(part)
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (m, alt, src, title) =>
+                `<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ''}>`)
+            .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (m, label, href, title) =>
+                `<a href="${href}"${title ? ` title="${title}"` : ''}>${label}</a>`)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/g, (m, a, b) => `<strong>${a || b}</strong>`)
+            .replace(/\*(?=\S)([^*]*?\S)\*|\b_(?=\S)([^_]*?\S)_\b/g, (m, a, b) => `<em>${a || b}</em>`)
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    }).join('');
+}
+
+const LIST_ITEM_RE = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE_RE = /^(\s*)(```+|~~~+)\s*([\w+-]*)\s*$/;
+
+/**
+ * Whether a line starts a block other than a paragraph
+ */
+function startsBlock(line) {
+    return FENCE_RE.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) ||
+        LIST_ITEM_RE.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+}
+
+/**
+ * Split a table row into cells
+ */
+function tableCells(row) {
+    return row.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Render a list starting at lines[start]
+ * Returns { html, end } where end is the index after the list
+ */
+function renderList(lines, start) {
+    const first = lines[start].match(LIST_ITEM_RE);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM_RE);
+        if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) break;
+
+        const contentIndent = match[0].length - match[3].length;
+        const body = [match[3]];
+        i++;
+
+        // Continuation lines are indented past the marker; blank lines end
+        // the item unless more indented content follows
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                const next = lines.slice(i + 1).find(l => l.trim());
+                if (next === undefined || next.search(/\S/) <= indent) break;
+                body.push('');
+            } else if (line.search(/\S/) > indent) {
+                body.push(line.slice(Math.min(contentIndent, line.search(/\S/))));
+            } else if (!startsBlock(line) && body[body.length - 1] !== '') {
+                body.push(line);
+            } else {
+                break;
+            }
+            i++;
+        }
+        items.push(body);
+
+        // A blank line between items of the same list does not end it
+        if (i < lines.length && !lines[i].trim()) {
+            const next = lines.slice(i).findIndex(l => l.trim());
+            const after = next === -1 ? null : lines[i + next].match(LIST_ITEM_RE);
+            if (after && after[1].length === indent) i += next;
+        }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && parseInt(first[2], 10) !== 1 ? ` start="${parseInt(first[2], 10)}"` : '';
+    const html = items.map(body => `<li>${renderBlocks(body, true).trim()}</li>\n`).join('');
+    return { html: `<${tag}${startAttr}>\n${html}</${tag}>\n`, end: i };
+}
+
+/**
+ * Render block-level Markdown
+ * tight: render a lone paragraph without <p> (list items)
+ */
+function renderBlocks(lines, tight = false) {
+    let html = '';
+    let paragraphs = 0;
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE_RE);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[2])) {
+                code.push(lines[i].slice(Math.min(fence[1].length, lines[i].search(/\S|$/))));
+                i++;
+            }
+            i++;
+            html += renderCode(code.join('\n'), fence[3]);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            html += `<h${level}>${renderInline(heading[2])}</h${level}>\n`;
+            i++;
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            html += '<hr>\n';
+            i++;
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const quote = [];
+            while (i < lines.length && lines[i].trim() && /^\s*>/.test(lines[i])) {
+                quote.push(lines[i].replace(/^\s*>\s?/, ''));
+                i++;
+            }
+            html += `<blockquote>\n${renderBlocks(quote)}</blockquote>\n`;
+            continue;
+        }
+
+        if (LIST_ITEM_RE.test(line)) {
+            const list = renderList(lines, i);
+            html += list.html;
+            i = list.end;
+            continue;
+        }
+
+        if (line.includes('|') && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1] || '')) {
+            const header = tableCells(line);
+            const align = tableCells(lines[i + 1]).map(cell =>
+                cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : '');
+            const attr = (col) => align[col] ? ` align="${align[col]}"` : '';
+            i += 2;
+            const rows = [];
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                rows.push(tableCells(lines[i]));
+                i++;
+            }
+            html += '<table>\n<thead>\n<tr>\n' +
+                header.map((cell, col) => `<th${attr(col)}>${renderInline(cell)}</th>\n`).join('') +
+                '</tr>\n</thead>\n' +
+                (rows.length ? '<tbody>' + rows.map(row => '<tr>\n' +
+                    header.map((_, col) => `<td${attr(col)}>${renderInline(row[col] || '')}</td>\n`).join('') +
+                    '</tr>\n').join('') + '</tbody>' : '') +
+                '</table>\n';
+            continue;
+        }
+
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        const text = renderInline(paragraph.join('\n')).replace(/\n/g, '<br>');
+        html += tight ? `${text}\n` : `<p>${text}</p>\n`;
+        paragraphs++;
+    }
+
+    // A list item with several paragraphs is loose: wrap them all
+    if (tight && paragraphs > 1) {
+        return renderBlocks(lines, false);
+    }
+
+    return html;
+}
+
+/**
+ * Render a Markdown document to HTML
+ * HTML comments and [//]: # (...) metadata lines are dropped
+ */
+function renderMarkdown(markdown) {
+    const source = String(markdown)
+        .replace(/\r\n?/g, '\n')
+        .replace(/^<!--[\s\S]*?-->\s*$/gm, '')
+        .replace(/^\[\/\/\]: # \(.*\)\s*$/gm, '');
+    return renderBlocks(source.split('\n'));
+}
+
+module.exports = {
+    escapeHtml,
+    highlightAhk,
+    renderInline,
+    renderMarkdown
+};
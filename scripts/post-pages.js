@@ -0,0 +1,119 @@
+/**
+ * Post Page Prerenderer
+ *
+ * Builds static HTML pages for the posts in posts/posts.json, with the
+ * Markdown rendered and code highlighted at build time, plus the sitemap.
+ * Pages share post.html's layout and styles; post.html stays as the
+ * client-side fallback for slugs that have not been built yet.
+ */
+
+const { escapeHtml, renderMarkdown } = require('./markdown');
+
+// highlight.js theme used by post.html; prerendered code uses its classes
+const HIGHLIGHT_THEME = 'https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build/styles/github-dark.min.css';
+
+const SITE_NAME = 'AHKv2 & LLMs';
+
+/**
+ * Format a post date the way post.html does for en-US readers
+ */
+function formatDate(date) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (isNaN(parsed.getTime())) return escapeHtml(date || '');
+    return parsed.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Render a full post page
+ *
+ * options.url      Absolute URL of the page, for canonical and OpenGraph links
+ * options.root     Relative path from the page back to the site root
+ */
+function renderPostPage(post, markdown, options) {
+    const root = options.root;
+    const url = options.url;
+    const title = `${post.title} - ${SITE_NAME}`;
+    const description = post.description || '';
+    const tags = (post.tags || []).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+    const tagMeta = (post.tags || []).map(tag => `\n  <meta property="article:tag" content="${escapeHtml(tag)}">`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="description" content="${escapeHtml(description)}">
+  <link rel="canonical" href="${escapeHtml(url)}">
+  <meta property="og:type" content="article">
+  <meta property="og:site_name" content="${escapeHtml(SITE_NAME)}">
+  <meta property="og:title" content="${escapeHtml(post.title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${escapeHtml(url)}">
+  <meta property="article:published_time" content="${escapeHtml(post.date)}">${tagMeta}
+  <meta name="twitter:card" content="summary">
+  <link rel="stylesheet" href="${root}style.css">
+  <link rel="stylesheet" href="${HIGHLIGHT_THEME}">
+  <link rel="alternate" type="application/atom+xml" title="${escapeHtml(SITE_NAME)} (Atom)" href="${root}dist/atom.xml">
+</head>
+<body>
+  <header class="site-header">
+    <div class="header-inner">
+      <a href="${root}index.html" class="logo">
+        <span class="logo-mark">AHK</span>
+        <span class="logo-text">v2 &amp; LLMs</span>
+      </a>
+      <nav class="nav">
+        <a href="${root}index.html" class="nav-link">Home</a>
+        <a href="${root}index.html#posts" class="nav-link">Posts</a>
+        <a href="${root}leaderboard.html" class="nav-link">Leaderboard</a>
+        <a href="${root}stats.html" class="nav-link">Stats</a>
+        <a href="https://www.autohotkey.com/docs/v2/" target="_blank" class="nav-link">AHK Docs</a>
+      </nav>
+    </div>
+  </header>
+
+  <main class="article-container">
+    <a class="back-link" href="${root}index.html">&larr; Back to all posts</a>
+
+    <header class="article-header">
+      <div class="article-date"><time datetime="${escapeHtml(post.date)}">${formatDate(post.date)}</time></div>
+      <h1 class="article-title">${escapeHtml(post.title)}</h1>
+      <div class="article-tags">${tags}</div>
+    </header>
+
+    <article class="article-body">
+${renderMarkdown(markdown)}    </article>
+  </main>
+
+  <footer class="site-footer">
+    <span>&copy; 2025 AHKv2 &amp; LLMs</span>
+    <div class="footer-links">
+      <a href="${root}index.html">Home</a>
+      <a href="https://github.com/AutoHotkey" target="_blank">GitHub</a>
+    </div>
+  </footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a sitemap.xml for a list of { loc, lastmod } entries
+ */
+function renderSitemap(entries) {
+    const urls = entries.map(entry => `  <url>
+    <loc>${escapeHtml(entry.loc)}</loc>${entry.lastmod ? `\n    <lastmod>${escapeHtml(entry.lastmod)}</lastmod>` : ''}
+  </url>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+module.exports = {
+    renderPostPage,
+    renderSitemap
+};
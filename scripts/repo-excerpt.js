@@ -0,0 +1,361 @@
+/**
+ * GitHub Repository Excerpts
+ *
+ * Builds the `code` of GitHub manifest entries from the repository itself:
+ * an excerpt of the primary .ahk file (its first class, or first function)
+ * and the usage example from the README, headed by the SPDX license and a
+ * link to the excerpted lines. Everything works on file contents, so the
+ * same code runs on API responses (build.js --fetch) and on local
+ * checkouts (excerptFromDirectory, build.js --excerpt DIR).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { stripComments, stripStrings, scanSource, selectMainFiles } = require('./ahk-version');
+
+const MAX_EXCERPT_LINES = 60;
+const MAX_USAGE_LINES = 25;
+
+// Comment lines kept above the excerpted definition
+const MAX_DOC_LINES = 15;
+
+// README headings whose code blocks show how to use the library
+const USAGE_HEADING_RE = /\b(?:usage|examples?|quick ?start|getting started|how to use|api)\b/i;
+
+// Fence languages treated as AutoHotkey (unlabelled fences need AHK_HINT_RE)
+const AHK_FENCE_RE = /^(?:ahk|ahk2|ah2|ahkv2|autohotkey|autohotkey2)?$/i;
+const AHK_HINT_RE = /:=|\w\(|^\s*#\w+|::/m;
+
+const README_RE = /^readme(?:\.(?:md|markdown|txt))?$/i;
+
+const CLASS_RE = /^\s*class\s+[A-Za-z_]\w*/i;
+const FUNCTION_RE = /^\s*(?!(?:if|while|for|loop|switch|catch|return|until|else)\b)[A-Za-z_]\w*\((?:[^()]|\([^()]*\))*\)\s*(?:\{|=>|$)/i;
+
+// Marker lines of the template used before entries carried real excerpts
+const BOILERPLATE_RE = /; Refer to repository README for specific usage|; \(Refer to repository README for specific instructions\)/;
+
+/**
+ * Drop leading and trailing blank lines
+ */
+function trimBlank(lines) {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && !lines[start].trim()) start++;
+    while (end > start && !lines[end - 1].trim()) end--;
+    return lines.slice(start, end);
+}
+
+/**
+ * Cut lines down to max, marking the cut
+ */
+function truncateLines(lines, max) {
+    return lines.length <= max ? lines : [...lines.slice(0, max), '; ...'];
+}
+
+/**
+ * Find the usage example in a README
+ * Prefers the first AutoHotkey code block under a usage/example heading,
+ * then the first AutoHotkey code block anywhere.
+ * Returns { heading, code } or null
+ */
+function extractReadmeUsage(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let heading = '';
+    let block = null;
+
+    for (const line of lines) {
+        if (block) {
+            if (line.trim().startsWith(block.fence)) {
+                blocks.push(block);
+                block = null;
+            } else {
+                block.lines.push(line);
+            }
+            continue;
+        }
+
+        const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+-]*)/);
+        if (fence) {
+            block = { fence: fence[1], lang: fence[2], heading, lines: [] };
+            continue;
+        }
+
+        const title = line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+        if (title) heading = title[1];
+    }
+
+    const candidates = blocks.filter(b =>
+        AHK_FENCE_RE.test(b.lang) &&
+        b.lines.some(l => l.trim()) &&
+        (b.lang || AHK_HINT_RE.test(b.lines.join('\n')))
+    );
+    const chosen = candidates.find(b => USAGE_HEADING_RE.test(b.heading)) || candidates[0];
+    if (!chosen) return null;
+
+    return {
+        heading: chosen.heading,
+        code: truncateLines(trimBlank(chosen.lines), MAX_USAGE_LINES).join('\n')
+    };
+}
+
+/**
+ * Excerpt the first top-level class or function of an AutoHotkey file
+ *
+ * The comment block above the definition is kept. A class longer than
+ * maxLines is shown as an outline of its members with bodies elided; other
+ * long excerpts are cut. Files without definitions give their first lines.
+ *
+ * Returns { kind: 'class'|'function'|'file', name, startLine, endLine,
+ * outline, code } with 1-based line numbers, or null for an empty file
+ */
+function extractSourceExcerpt(content, maxLines = MAX_EXCERPT_LINES) {
+    const lines = String(content || '').replace(/\r\n?/g, '\n').split('\n');
+    const code = stripComments(content || '').map(stripStrings);
+    const depths = [];
+    let depth = 0;
+
+    // Brace depth before each line (and after the last one)
+    for (const line of code) {
+        depths.push(depth);
+        depth = Math.max(0, depth + (line.match(/\{/g) || []).length - (line.match(/\}/g) || []).length);
+    }
+    depths.push(depth);
+
+    const nextCode = (i) => {
+        for (let j = i + 1; j < code.length; j++) {
+            if (code[j].trim()) return code[j].trim();
+        }
+        return '';
+    };
+    const isDefinition = (line, i) => depths[i] === 0 && (
+        CLASS_RE.test(line) ||
+        (FUNCTION_RE.test(line) && (/\{|=>/.test(line) || nextCode(i).startsWith('{')))
+    );
+
+    const start = code.findIndex(isDefinition);
+    if (start === -1) {
+        const head = trimBlank(lines);
+        if (!head.length) return null;
+        const first = lines.findIndex(line => line.trim());
+        const shown = Math.min(head.length, maxLines);
+        return {
+            kind: 'file',
+            name: null,
+            startLine: first + 1,
+            endLine: first + shown,
+            outline: false,
+            code: truncateLines(head, maxLines).join('\n')
+        };
+    }
+
+    // End of the definition's block
+    let end = start;
+    let opened = false;
+    for (let j = start; j < code.length; j++) {
+        if (code[j].includes('{')) opened = true;
+        if (opened && depths[j + 1] === 0) {
+            end = j;
+            break;
+        }
+        if (!opened && j > start && code[j].trim() && !code[j].trim().startsWith('{')) break;
+        end = j;
+    }
+
+    // Comment block directly above
+    let begin = start;
+    while (begin > 0 && start - begin < MAX_DOC_LINES && lines[begin - 1].trim() && !code[begin - 1].trim()) begin--;
+
+    const kind = CLASS_RE.test(code[start]) ? 'class' : 'function';
+    const name = code[start].trim().match(/^(?:class\s+)?([A-Za-z_]\w*)/i)[1];
+    let excerpt = lines.slice(begin, end + 1);
+    let outline = false;
+
+    if (excerpt.length > maxLines && kind === 'class') {
+        excerpt = outlineClass(lines, code, depths, begin, start, end);
+        outline = true;
+    }
+
+    return {
+        kind,
+        name,
+        startLine: begin + 1,
+        endLine: end + 1,
+        outline,
+        code: truncateLines(excerpt, maxLines).join('\n')
+    };
+}
+
+/**
+ * A class's header, its members with bodies elided, and its closing brace
+ */
+function outlineClass(lines, code, depths, begin, start, end) {
+    let bodyStart = start;
+    while (bodyStart < end && !code[bodyStart].includes('{')) bodyStart++;
+
+    const memberDepth = depths[start] + 1;
+    const result = lines.slice(begin, bodyStart + 1);
+
+    for (let i = bodyStart + 1; i < end; i++) {
+        const statement = code[i].trim();
+        if (depths[i] !== memberDepth || !statement || statement === '{' || statement === '}') continue;
+
+        const opensHere = depths[i + 1] > depths[i];
+        const opensNext = !opensHere && (code[i + 1] || '').trim().startsWith('{');
+        if (opensHere) {
+            result.push(`${lines[i].slice(0, lines[i].lastIndexOf('{')).trimEnd()} { ... }`);
+        } else if (opensNext) {
+            result.push(`${lines[i].trimEnd()} { ... }`);
+        } else {
+            result.push(lines[i]);
+        }
+    }
+
+    result.push(lines[end]);
+    return result;
+}
+
+/**
+ * SPDX identifier of a repository's license, or null
+ */
+function repoLicense(repo) {
+    const id = repo.license && repo.license.spdx_id;
+    return id && id !== 'NOASSERTION' ? id : null;
+}
+
+/**
+ * Link to the excerpted lines of a file on GitHub
+ */
+function sourceUrl(repo, source) {
+    const branch = encodeURI(repo.default_branch || 'main');
+    const file = source.path.split('/').map(encodeURIComponent).join('/');
+    return `${repo.html_url}/blob/${branch}/${file}#L${source.excerpt.startLine}-L${source.excerpt.endLine}`;
+}
+
+/**
+ * Pick the file to excerpt from a repository's main files
+ * files: [{ path, content }] best first (selectMainFiles() order). The
+ * first file that scans as v2 wins, so a stray v1 script at the root does
+ * not stand in for a v2 library; otherwise the first file read.
+ * Returns the file or null
+ */
+function pickSourceFile(files) {
+    const readable = files.filter(file => typeof file.content === 'string');
+    const v2 = readable.find(file => {
+        const { v1, v2: v2Weight } = scanSource(file.content);
+        return v2Weight > v1;
+    });
+    return v2 || readable[0] || null;
+}
+
+/**
+ * Excerpt a repository's primary .ahk file and README usage example
+ * Returns { source: { path, excerpt } | null, usage: { path, heading, code } | null }
+ */
+function collectExcerpts({ sourcePath, sourceContent, readmePath, readmeContent }) {
+    const excerpt = sourceContent ? extractSourceExcerpt(sourceContent) : null;
+    const usage = readmeContent ? extractReadmeUsage(readmeContent) : null;
+
+    return {
+        source: excerpt ? { path: sourcePath, excerpt } : null,
+        usage: usage ? { path: readmePath, ...usage } : null
+    };
+}
+
+/**
+ * Render the manifest `code` for a repository from its excerpts
+ */
+function renderRepoCode(repo, { source = null, usage = null } = {}) {
+    const lines = [
+        `; Repository: ${repo.full_name}`,
+        `; Source:     ${source ? (repo.html_url ? sourceUrl(repo, source) : source.path) : repo.html_url}`,
+        `; License:    ${repoLicense(repo) || 'Not specified'}`
+    ];
+
+    if (source) {
+        const { outline, startLine, endLine } = source.excerpt;
+        lines.push(';', `; ${outline ? 'Outline of' : 'Excerpt from'} ${source.path}, lines ${startLine}-${endLine}:`, '', source.excerpt.code);
+    }
+
+    if (usage) {
+        const heading = usage.heading ? ` ("${usage.heading}")` : '';
+        lines.push('', `; Usage example from ${usage.path}${heading}:`, '', usage.code);
+    }
+
+    if (!source && !usage) {
+        lines.push(';', '; No AutoHotkey source or README example was found; see the repository.');
+    }
+
+    return `\`\`\`cpp\n${lines.join('\n')}\n\`\`\``;
+}
+
+/**
+ * Manifest fields for a repository: { code, license, sourceUrl }
+ * license and sourceUrl are null when unknown
+ */
+function repoCodeFields(repo, excerpts = {}) {
+    return {
+        code: renderRepoCode(repo, excerpts),
+        license: repoLicense(repo),
+        sourceUrl: excerpts.source && repo.html_url ? sourceUrl(repo, excerpts.source) : null
+    };
+}
+
+/**
+ * Whether a code block is the old generated template rather than an excerpt
+ */
+function isBoilerplateCode(code) {
+    return BOILERPLATE_RE.test(code || '');
+}
+
+/**
+ * List a directory's files as '/'-separated relative paths
+ */
+function listFiles(dir) {
+    const paths = [];
+    const walk = (current) => {
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+            if (entry.name.startsWith('.')) continue;
+            const full = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                walk(full);
+            } else {
+                paths.push(path.relative(dir, full).split(path.sep).join('/'));
+            }
+        }
+    };
+    walk(dir);
+    return paths;
+}
+
+/**
+ * Excerpts for a local checkout of a repository
+ */
+function excerptFromDirectory(dir, repoName = path.basename(dir)) {
+    const paths = listFiles(dir);
+    const read = (p) => (p ? fs.readFileSync(path.join(dir, p), 'utf8') : null);
+    const source = pickSourceFile(selectMainFiles(paths, repoName).map(p => ({ path: p, content: read(p) })));
+    const readmePath = paths.find(p => README_RE.test(p));
+
+    return collectExcerpts({
+        sourcePath: source ? source.path : null,
+        sourceContent: source ? source.content : null,
+        readmePath,
+        readmeContent: read(readmePath)
+    });
+}
+
+module.exports = {
+    MAX_EXCERPT_LINES,
+    MAX_USAGE_LINES,
+    README_RE,
+    extractReadmeUsage,
+    extractSourceExcerpt,
+    repoLicense,
+    pickSourceFile,
+    collectExcerpts,
+    renderRepoCode,
+    repoCodeFields,
+    isBoilerplateCode,
+    excerptFromDirectory
+};
@@ -0,0 +1,98 @@
+/**
+ * Script File Export
+ *
+ * Turns manifest entries into standalone .ahk files laid out as
+ * <category>/<id>.ahk, each with a generated header comment, plus an
+ * index of the collection. scripts/build.js writes them to dist/scripts/
+ * and bundles them into dist/ahk-scripts.zip. The header uses the
+ * scripts/script-import.js format, so an exported file can be edited and
+ * brought back with --import.
+ */
+
+const { stripFence } = require('./ahk-lint');
+const { LICENSE_PLACEHOLDERS, renderScriptHeader } = require('./script-import');
+
+/**
+ * Directory name for a category, e.g. 'GUI Development' -> 'gui-development'
+ */
+function categorySlug(category) {
+    return String(category || 'uncategorized')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'uncategorized';
+}
+
+/**
+ * Relative path of a script's exported file
+ */
+function scriptFilePath(script) {
+    return `${categorySlug(script.category)}/${script.id}.ahk`;
+}
+
+/**
+ * License shown in the header; curated scripts have no license field
+ */
+function scriptLicense(script) {
+    if (script.license) return script.license;
+    const [fromRepository, unspecified] = LICENSE_PLACEHOLDERS;
+    return script.source === 'github' ? fromRepository : unspecified;
+}
+
+/**
+ * Render a script as a standalone .ahk file with a header comment
+ * Uses CRLF line endings, the AutoHotkey convention on Windows
+ */
+function renderScriptFile(script, options = {}) {
+    const header = renderScriptHeader({
+        title: script.title,
+        id: script.id,
+        category: script.category,
+        difficulty: script.difficulty,
+        tags: (script.tags || []).join(', '),
+        description: script.description,
+        license: scriptLicense(script),
+        source: script.url || options.siteUrl || ''
+    });
+    const body = stripFence(script.code).replace(/\r\n?/g, '\n').replace(/\s+$/, '');
+
+    return [header, '', body, ''].join('\n').replace(/\n/g, '\r\n');
+}
+
+/**
+ * Build every exported file for a manifest
+ * Returns { files: [{ path, content }], index }
+ */
+function buildScriptFiles(manifest, options = {}) {
+    const scripts = [...(manifest.scripts || [])]
+        .sort((a, b) => scriptFilePath(a).localeCompare(scriptFilePath(b)));
+
+    const files = scripts.map(script => ({
+        path: scriptFilePath(script),
+        content: renderScriptFile(script, options)
+    }));
+
+    const index = {
+        version: manifest.version,
+        lastUpdated: manifest.lastUpdated,
+        totalScripts: scripts.length,
+        scripts: scripts.map(script => ({
+            id: script.id,
+            title: script.title,
+            category: script.category,
+            difficulty: script.difficulty,
+            tags: script.tags || [],
+            path: scriptFilePath(script),
+            source: script.url || null,
+            license: scriptLicense(script)
+        }))
+    };
+
+    return { files, index };
+}
+
+module.exports = {
+    categorySlug,
+    scriptFilePath,
+    renderScriptFile,
+    buildScriptFiles
+};
@@ -0,0 +1,231 @@
+/**
+ * Script File Import
+ *
+ * Reads curated scripts from .ahk files so they can be written as real
+ * files instead of JSON strings. Each file starts with a header comment:
+ *
+ *   ; ============================================================
+ *   ; Title:       Dark Mode GUI
+ *   ; Category:    GUI
+ *   ; Difficulty:  intermediate
+ *   ; Tags:        gui, dark-mode, dwm
+ *   ; Description: Switches a Gui to the dark title bar and colors.
+ *   ;              Longer values continue on the next comment lines.
+ *   ; ============================================================
+ *
+ *   #Requires AutoHotkey v2.0
+ *   ...
+ *
+ * A /* ... *\/ block works too. Title, Category, Difficulty and Description
+ * are required; Tags, Id, License and Source are optional. The id is the Id
+ * header when present, otherwise the file name (dark-mode-gui.ahk ->
+ * dark-mode-gui), so re-importing a file updates the same entry. Source is
+ * the upstream URL scripts/script-export.js writes; it is read but not
+ * imported. scripts/build.js --import DIR merges the result into the
+ * manifest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HEADER_KEYS = ['title', 'id', 'category', 'difficulty', 'tags', 'description', 'license', 'source'];
+const REQUIRED_KEYS = ['title', 'category', 'difficulty', 'description'];
+
+// License values --export writes when a script has none; not imported
+const LICENSE_PLACEHOLDERS = ['See source repository', 'Not specified'];
+
+const RULE = `; ${'='.repeat(60)}`;
+
+// Decorative lines such as ; ==== or ; ----
+const RULE_RE = /^[=\-*#~_\s]+$/;
+const FIELD_RE = /^([A-Za-z][\w-]*)\s*:\s*(.*)$/;
+
+/**
+ * Slug for a file name: 'Dark Mode_GUI.ahk' -> 'dark-mode-gui'
+ */
+function scriptIdFromPath(file) {
+    return path.basename(file, path.extname(file))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Render a header comment from lower-cased header keys
+ * Keys are written in HEADER_KEYS order; missing values are skipped
+ */
+function renderScriptHeader(fields) {
+    const lines = HEADER_KEYS
+        .filter(key => fields[key] !== undefined && fields[key] !== null)
+        .map(key => {
+            const label = `${key[0].toUpperCase()}${key.slice(1)}:`;
+            return `; ${label.padEnd(13)}${String(fields[key]).replace(/\s+/g, ' ').trim()}`.trimEnd();
+        });
+    return [RULE, ...lines, RULE].join('\n');
+}
+
+/**
+ * Split a file into its header comment lines and the code after them
+ * Header lines keep their indentation relative to the comment, which marks
+ * continuation lines
+ */
+function splitHeader(content) {
+    const lines = String(content).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    let i = 0;
+    while (i < lines.length && !lines[i].trim()) i++;
+
+    let header = [];
+    if (lines[i] !== undefined && lines[i].trim().startsWith('/*')) {
+        for (; i < lines.length; i++) {
+            const end = lines[i].indexOf('*/');
+            header.push(lines[i].replace(/^\s*\/\*/, '').replace(/\*\/.*$/, '').replace(/^\s*\*(?!\S)/, ''));
+            if (end !== -1) {
+                i++;
+                break;
+            }
+        }
+        // Drop the block's common indentation
+        const indent = Math.min(...header.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+        header = header.map(line => line.slice(Number.isFinite(indent) ? indent : 0));
+    } else {
+        for (; i < lines.length && lines[i].trim().startsWith(';'); i++) {
+            header.push(lines[i].trim().replace(/^;\s?/, ''));
+        }
+    }
+
+    return { header, body: lines.slice(i).join('\n') };
+}
+
+/**
+ * Parse a script file's header
+ * Returns { fields, body, errors, warnings }; fields holds the lower-cased
+ * header keys with continuation lines joined, body is the code without the
+ * header
+ */
+function parseScriptHeader(content) {
+    const { header, body } = splitHeader(content);
+    const fields = {};
+    const errors = [];
+    const warnings = [];
+    let current = null;
+
+    for (const line of header) {
+        const text = line.trim();
+        if (!text || RULE_RE.test(text)) {
+            current = null;
+            continue;
+        }
+
+        // Indented lines continue the previous value
+        const field = /^\s/.test(line) ? null : text.match(FIELD_RE);
+        const key = field && field[1].toLowerCase();
+        if (field && HEADER_KEYS.includes(key)) {
+            if (fields[key] !== undefined) errors.push(`header "${field[1]}" is given twice`);
+            fields[key] = field[2].trim();
+            current = key;
+        } else if (field) {
+            warnings.push(`unknown header "${field[1]}" ignored`);
+            current = null;
+        } else if (current) {
+            fields[current] = `${fields[current]} ${text}`.trim();
+        }
+    }
+
+    for (const key of REQUIRED_KEYS) {
+        if (!fields[key]) errors.push(`header is missing "${key[0].toUpperCase()}${key.slice(1)}:"`);
+    }
+    if (!body.trim()) errors.push('has no code after the header');
+
+    return { fields, body, errors, warnings };
+}
+
+/**
+ * Build a manifest entry from a parsed file
+ * date is used for dateAdded and lastModified; build.js keeps the
+ * existing dates when the entry is unchanged
+ */
+function scriptFromFile(file, parsed, date) {
+    const { fields, body } = parsed;
+    const code = body.replace(/^\s*\n/, '').replace(/\s+$/, '');
+    const script = {
+        id: fields.id || scriptIdFromPath(file),
+        title: fields.title,
+        category: fields.category,
+        description: fields.description,
+        tags: [...new Set((fields.tags || '').split(',').map(tag => tag.trim()).filter(Boolean))],
+        difficulty: fields.difficulty.toLowerCase(),
+        dateAdded: date,
+        lastModified: date,
+        source: 'local',
+        code: `\`\`\`cpp\n${code}\n\`\`\``
+    };
+    if (fields.license && !LICENSE_PLACEHOLDERS.includes(fields.license)) script.license = fields.license;
+    return script;
+}
+
+/**
+ * Find the .ahk files under dir as sorted '/'-separated relative paths
+ */
+function listScriptFiles(dir) {
+    const files = [];
+    const walk = (current) => {
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+            if (entry.name.startsWith('.')) continue;
+            const full = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                walk(full);
+            } else if (/\.(?:ahk|ah2|ahk2)$/i.test(entry.name)) {
+                files.push(path.relative(dir, full).split(path.sep).join('/'));
+            }
+        }
+    };
+    walk(dir);
+    return files.sort();
+}
+
+/**
+ * Read every script file under dir
+ * Returns { scripts: [{ file, script }], errors: [string], warnings: [string] }
+ * with messages prefixed by the file path; a file with errors, or with an
+ * id an earlier file already uses, gives no script
+ */
+function readScriptFiles(dir, date) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`Import directory not found: ${dir}`);
+    }
+
+    const scripts = [];
+    const errors = [];
+    const warnings = [];
+    const byId = new Map();
+
+    for (const file of listScriptFiles(dir)) {
+        const parsed = parseScriptHeader(fs.readFileSync(path.join(dir, file), 'utf8'));
+        warnings.push(...parsed.warnings.map(message => `${file}: ${message}`));
+        if (parsed.errors.length) {
+            errors.push(...parsed.errors.map(message => `${file}: ${message}`));
+            continue;
+        }
+
+        const script = scriptFromFile(file, parsed, date);
+        if (byId.has(script.id)) {
+            errors.push(`${file}: id "${script.id}" is also used by ${byId.get(script.id)}`);
+            continue;
+        }
+        byId.set(script.id, file);
+        scripts.push({ file, script });
+    }
+
+    return { scripts, errors, warnings };
+}
+
+module.exports = {
+    HEADER_KEYS,
+    LICENSE_PLACEHOLDERS,
+    scriptIdFromPath,
+    renderScriptHeader,
+    parseScriptHeader,
+    scriptFromFile,
+    listScriptFiles,
+    readScriptFiles
+};
@@ -0,0 +1,478 @@
+/**
+ * Script Cache Store
+ *
+ * Browser storage for ScriptUpdateManager's cache. Every script is its own
+ * record with its own expiry, so one large entry never has to be rewritten
+ * with all the others and expired entries can be dropped one at a time:
+ *
+ *   { key, value, schema, savedAt, expiresAt }
+ *
+ * Three backends share one async interface (get, getAll, set, delete,
+ * prune, clear): IndexedDB, localStorage (one key per record) and an
+ * in-memory Map. openScriptStore() picks the first that works, in that
+ * order.
+ *
+ * Records carry the STORE_SCHEMA_VERSION they were written under. A record
+ * from an older version is upgraded on read through RECORD_MIGRATIONS and
+ * one with no migration path, or from a newer version, is dropped. The
+ * single localStorage blob used before version 2 is moved into the store
+ * and removed by migrateLegacyCache().
+ *
+ * When the browser reports the quota is exceeded, set() prunes expired
+ * records, then evicts the oldest ones and retries; if the record still
+ * does not fit it rejects with error.code 'EQUOTA'.
+ */
+
+const STORE_SCHEMA_VERSION = 2;
+
+// Object store (IndexedDB) holding the records
+const RECORD_STORE = 'records';
+
+/**
+ * Whether a value has the shape of a cached script
+ */
+function isCachedScript(value) {
+    return Boolean(value) &&
+        typeof value.id === 'string' &&
+        typeof value.title === 'string' &&
+        typeof value.code === 'string' &&
+        !Number.isNaN(new Date(value.lastModified).getTime());
+}
+
+// RECORD_MIGRATIONS[n] upgrades a value written under schema n - 1 and
+// returns null when the value cannot be kept
+const RECORD_MIGRATIONS = {
+    // Version 1 cached whole scripts without checking them
+    2: (value) => (isCachedScript(value) ? value : null)
+};
+
+/**
+ * Upgrade a record to STORE_SCHEMA_VERSION
+ * Returns the upgraded record, or null when it has to be dropped
+ */
+function migrateRecord(record) {
+    const from = Number(record.schema) || 1;
+    if (from > STORE_SCHEMA_VERSION) return null;
+
+    let value = record.value;
+    for (let version = from + 1; version <= STORE_SCHEMA_VERSION; version++) {
+        const migrate = RECORD_MIGRATIONS[version];
+        value = migrate ? migrate(value) : null;
+        if (value === null || value === undefined) return null;
+    }
+    return { ...record, value, schema: STORE_SCHEMA_VERSION };
+}
+
+/**
+ * Whether an error means the storage quota is exceeded
+ * Browsers disagree on the name and code
+ */
+function isQuotaError(error) {
+    return Boolean(error) && (
+        error.code === 'EQUOTA' ||
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014
+    );
+}
+
+/**
+ * Shared record handling: expiry, migrations and quota recovery
+ * Backends implement readRecord, writeRecord, deleteRecord, allRecords and
+ * clearRecords
+ */
+class RecordStore {
+    /**
+     * The stored record if it is live and current, else null
+     * Expired and unmigratable records are deleted on the way
+     */
+    async liveRecord(record) {
+        if (!record) return null;
+
+        if (record.expiresAt && record.expiresAt <= Date.now()) {
+            await this.deleteRecord(record.key);
+            return null;
+        }
+
+        if (record.schema !== STORE_SCHEMA_VERSION) {
+            const migrated = migrateRecord(record);
+            if (!migrated) {
+                await this.deleteRecord(record.key);
+                return null;
+            }
+            try {
+                await this.writeRecord(migrated);
+            } catch (error) {
+                // Still usable for this read; it is migrated again next time
+            }
+            return migrated;
+        }
+
+        return record;
+    }
+
+    /**
+     * Value stored under key, or null when missing or expired
+     */
+    async get(key) {
+        const record = await this.liveRecord(await this.readRecord(key));
+        return record ? record.value : null;
+    }
+
+    /**
+     * Every live record as { key, value, savedAt, expiresAt }
+     */
+    async getAll() {
+        const live = [];
+        for (const stored of await this.allRecords()) {
+            const record = await this.liveRecord(stored);
+            if (record) {
+                live.push({ key: record.key, value: record.value, savedAt: record.savedAt, expiresAt: record.expiresAt });
+            }
+        }
+        return live;
+    }
+
+    /**
+     * Store a value under key
+     * ttl (milliseconds) sets when the record expires; without it the record
+     * stays until deleted or evicted
+     */
+    async set(key, value, { ttl = null } = {}) {
+        const now = Date.now();
+        const record = {
+            key,
+            value,
+            schema: STORE_SCHEMA_VERSION,
+            savedAt: now,
+            expiresAt: ttl ? now + ttl : null
+        };
+
+        try {
+            await this.writeRecord(record);
+            return;
+        } catch (error) {
+            if (!isQuotaError(error)) throw error;
+        }
+
+        // Make room: expired records first, then the oldest half at a time
+        await this.prune();
+        let others = (await this.allRecords())
+            .filter(stored => stored.key !== key)
+            .sort((a, b) => (a.savedAt || 0) - (b.savedAt || 0));
+        for (;;) {
+            try {
+                await this.writeRecord(record);
+                return;
+            } catch (error) {
+                if (!isQuotaError(error)) throw error;
+            }
+            if (!others.length) break;
+
+            const evicted = others.slice(0, Math.ceil(others.length / 2));
+            others = others.slice(evicted.length);
+            for (const stored of evicted) await this.deleteRecord(stored.key);
+        }
+
+        const error = new Error(`Storage quota exceeded: "${key}" does not fit even in an empty cache`);
+        error.code = 'EQUOTA';
+        throw error;
+    }
+
+    /**
+     * Remove the record stored under key
+     */
+    async delete(key) {
+        await this.deleteRecord(key);
+    }
+
+    /**
+     * Remove expired records
+     * Returns the number removed
+     */
+    async prune() {
+        const now = Date.now();
+        let removed = 0;
+        for (const record of await this.allRecords()) {
+            if (record.expiresAt && record.expiresAt <= now) {
+                await this.deleteRecord(record.key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Remove every record
+     */
+    async clear() {
+        await this.clearRecords();
+    }
+}
+
+/**
+ * Records in a Map; nothing survives a reload
+ */
+class MemoryStore extends RecordStore {
+    constructor() {
+        super();
+        this.backend = 'memory';
+        this.records = new Map();
+    }
+
+    async readRecord(key) {
+        return this.records.get(key) || null;
+    }
+
+    async writeRecord(record) {
+        this.records.set(record.key, record);
+    }
+
+    async deleteRecord(key) {
+        this.records.delete(key);
+    }
+
+    async allRecords() {
+        return [...this.records.values()];
+    }
+
+    async clearRecords() {
+        this.records.clear();
+    }
+}
+
+/**
+ * Records as JSON under '<prefix>:<key>' localStorage keys
+ */
+class LocalStorageStore extends RecordStore {
+    constructor(prefix, storage = localStorage) {
+        super();
+        this.backend = 'localStorage';
+        this.prefix = `${prefix}:`;
+        this.storage = storage;
+    }
+
+    /**
+     * Open a store after checking that storage accepts writes (it throws in
+     * some private browsing modes)
+     */
+    static open(prefix, storage = localStorage) {
+        const probe = `${prefix}:__probe`;
+        storage.setItem(probe, '1');
+        storage.removeItem(probe);
+        return new LocalStorageStore(prefix, storage);
+    }
+
+    itemKeys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) keys.push(key);
+        }
+        return keys;
+    }
+
+    async readRecord(key) {
+        return this.parse(this.storage.getItem(this.prefix + key));
+    }
+
+    async writeRecord(record) {
+        this.storage.setItem(this.prefix + record.key, JSON.stringify(record));
+    }
+
+    async deleteRecord(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+
+    async allRecords() {
+        return this.itemKeys()
+            .map(key => this.parse(this.storage.getItem(key), key.slice(this.prefix.length)))
+            .filter(Boolean);
+    }
+
+    async clearRecords() {
+        for (const key of this.itemKeys()) this.storage.removeItem(key);
+    }
+
+    /**
+     * Parse a stored record; unreadable items come back as an expired
+     * record so liveRecord() deletes them
+     */
+    parse(raw, key) {
+        if (raw === null || raw === undefined) return null;
+        try {
+            const record = JSON.parse(raw);
+            if (record && typeof record === 'object' && typeof record.key === 'string') return record;
+        } catch (error) {
+            // Fall through
+        }
+        return key ? { key, value: null, expiresAt: 1 } : null;
+    }
+}
+
+/**
+ * Records in an IndexedDB object store, keyed by record key
+ */
+class IndexedDBStore extends RecordStore {
+    constructor(db) {
+        super();
+        this.backend = 'indexedDB';
+        this.db = db;
+    }
+
+    /**
+     * Open (or create and upgrade) the database
+     * The database version follows STORE_SCHEMA_VERSION; records written
+     * under an older version are migrated when read
+     */
+    static open(name, factory = indexedDB) {
+        return new Promise((resolve, reject) => {
+            const request = factory.open(name, STORE_SCHEMA_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(RECORD_STORE)) {
+                    db.createObjectStore(RECORD_STORE, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version in another tab upgrade the database
+                db.onversionchange = () => db.close();
+                resolve(new IndexedDBStore(db));
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`IndexedDB "${name}" is open in another tab with an older version`));
+        });
+    }
+
+    /**
+     * Run one request in a transaction and resolve with its result once the
+     * transaction commits (quota errors surface on commit)
+     */
+    transaction(mode, action) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(RECORD_STORE, mode);
+            const request = action(tx.objectStore(RECORD_STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error || request.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    async readRecord(key) {
+        return (await this.transaction('readonly', store => store.get(key))) || null;
+    }
+
+    async writeRecord(record) {
+        await this.transaction('readwrite', store => store.put(record));
+    }
+
+    async deleteRecord(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+
+    async allRecords() {
+        return (await this.transaction('readonly', store => store.getAll())) || [];
+    }
+
+    async clearRecords() {
+        await this.transaction('readwrite', store => store.clear());
+    }
+}
+
+/**
+ * Open the best available store
+ * backend is 'auto' (IndexedDB, then localStorage, then memory),
+ * 'indexedDB', 'localStorage' or 'memory'; name is the database name or
+ * localStorage key prefix
+ */
+async function openScriptStore({ name = 'ahk_scripts_cache', backend = 'auto' } = {}) {
+    if ((backend === 'auto' || backend === 'indexedDB') && typeof indexedDB !== 'undefined') {
+        try {
+            return await IndexedDBStore.open(name);
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back:', error.message || error);
+        }
+    }
+
+    if ((backend === 'auto' || backend === 'localStorage') && typeof localStorage !== 'undefined') {
+        try {
+            return LocalStorageStore.open(name);
+        } catch (error) {
+            console.warn('localStorage unavailable, falling back:', error.message || error);
+        }
+    }
+
+    return new MemoryStore();
+}
+
+/**
+ * Move the pre-version-2 cache into a store
+ * That cache was one localStorage item, { scripts, timestamp }, holding the
+ * whole collection; only its GitHub results are kept, expiring ttl after
+ * the old timestamp as they would have. The item is removed either way.
+ * Returns the number of records moved
+ */
+async function migrateLegacyCache(store, key, { ttl, storage } = {}) {
+    const legacy = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    if (!legacy) return 0;
+
+    let raw;
+    try {
+        raw = legacy.getItem(key);
+    } catch (error) {
+        return 0;
+    }
+    if (!raw) return 0;
+
+    let moved = 0;
+    try {
+        const { scripts, timestamp } = JSON.parse(raw);
+        const remaining = ttl ? Number(timestamp) + ttl - Date.now() : 0;
+        if (Array.isArray(scripts) && remaining > 0) {
+            for (const script of scripts) {
+                if (!script || script.source !== 'github') continue;
+                const record = migrateRecord({ key: script.id, value: script, schema: 1 });
+                if (!record) continue;
+                await store.set(record.key, record.value, { ttl: remaining });
+                moved++;
+            }
+        }
+    } catch (error) {
+        console.warn('Discarding the legacy script cache:', error.message);
+    }
+
+    legacy.removeItem(key);
+    return moved;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STORE_SCHEMA_VERSION,
+        RECORD_MIGRATIONS,
+        isCachedScript,
+        migrateRecord,
+        isQuotaError,
+        MemoryStore,
+        LocalStorageStore,
+        IndexedDBStore,
+        openScriptStore,
+        migrateLegacyCache
+    };
+} else if (typeof window !== 'undefined') {
+    window.AhkScriptStore = {
+        STORE_SCHEMA_VERSION,
+        RECORD_MIGRATIONS,
+        isCachedScript,
+        migrateRecord,
+        isQuotaError,
+        MemoryStore,
+        LocalStorageStore,
+        IndexedDBStore,
+        openScriptStore,
+        migrateLegacyCache
+    };
+}
@@ -7,14 +7,26 @@
  * Works with both browser environments and Node.js build processes.
  */
 
+// Fields of a GitHub entry only the build computes: the excerpt
+// (repo-excerpt.js), the classification and its overrides (classify.js),
+// the detected AHK version (ahk-version.js) and --prune's archived flag.
+// Live results do not carry them, so a merge keeps the build's values.
+const BUILD_OWNED_FIELDS = [
+    'code', 'license', 'sourceUrl',
+    'category', 'categoryConfidence', 'difficulty', 'difficultyConfidence',
+    'ahkVersion', 'ahkVersionConfidence', 'archived', 'searchQuery'
+];
+
 class ScriptUpdateManager {
     constructor(options = {}) {
         this.config = {
             manifestPath: options.manifestPath || 'scripts/ahk-scripts.json',
+            searchIndexPath: options.searchIndexPath || 'dist/search-index.json',
             cacheKey: options.cacheKey || 'ahk_scripts_cache',
-            cacheTTL: options.cacheTTL || 300000, // 5 minutes
+            cacheTTL: options.cacheTTL || 300000, // 5 minutes, per cached script
+            storage: options.storage || null, // a store from script-store.js; picked automatically when null
             githubApiBase: options.githubApiBase || 'https://api.github.com',
-            searchQuery: options.searchQuery || 'autohotkey v2 language:AutoHotkey',
+            searchQuery: options.searchQuery || ScriptUpdateManager.defaultSearchQuery(),
             maxResults: options.maxResults || 50,
             enableGitHubFetch: options.enableGitHubFetch !== false,
             ...options
@@ -22,7 +34,62 @@ class ScriptUpdateManager {
 
         this.scripts = [];
         this.lastUpdate = null;
+        this.manifestUpdated = null;
+        this.manifestVersion = null;
+        this.store = null;
         this.updateCallbacks = [];
+        this.searchIndex = null;
+    }
+
+    /**
+     * Build the shared AHK v2 search query from search-query.js
+     */
+    static defaultSearchQuery() {
+        const lib = typeof require === 'function' ? require('./search-query') : window;
+        if (lib && typeof lib.buildSearchQuery === 'function') {
+            return lib.buildSearchQuery(lib.AHK_REPO_SEARCH);
+        }
+        return 'autohotkey v2 language:AutoHotkey';
+    }
+
+    /**
+     * The search-index.js helpers (module in Node, window.AhkSearchIndex in browsers)
+     */
+    static searchLib() {
+        const lib = typeof require === 'function' ? require('./search-index') : window.AhkSearchIndex;
+        return lib && typeof lib.searchIndex === 'function' ? lib : null;
+    }
+
+    /**
+     * The script-store.js helpers (module in Node, window.AhkScriptStore in browsers)
+     */
+    static storeLib() {
+        const lib = typeof require === 'function' ? require('./script-store') : window.AhkScriptStore;
+        return lib && typeof lib.openScriptStore === 'function' ? lib : null;
+    }
+
+    /**
+     * The collection-stats.js helpers (module in Node, window.AhkCollectionStats in browsers)
+     */
+    static statsLib() {
+        const lib = typeof require === 'function' ? require('./collection-stats') : window.AhkCollectionStats;
+        return lib && typeof lib.computeStats === 'function' ? lib : null;
+    }
+
+    /**
+     * Whether a script is confidently detected as AHK v1-only
+     * Same threshold as CONFIRMED_CONFIDENCE in ahk-version.js
+     */
+    static isConfirmedV1(script) {
+        return script.ahkVersion === 'v1' && (script.ahkVersionConfidence || 0) >= 0.6;
+    }
+
+    /**
+     * Whether a script is a tombstone for a repo that no longer exists
+     * (set by scripts/build.js --prune)
+     */
+    static isRemoved(script) {
+        return Boolean(script.removedAt);
     }
 
     /**
@@ -30,7 +97,8 @@ class ScriptUpdateManager {
      */
     async init() {
         await this.loadFromManifest();
-        this.loadFromCache();
+        await this.loadSearchIndex();
+        await this.loadFromCache();
         return this;
     }
 
@@ -47,6 +115,8 @@ class ScriptUpdateManager {
             const manifest = await response.json();
             this.scripts = manifest.scripts || [];
             this.lastUpdate = manifest.lastUpdated;
+            this.manifestUpdated = manifest.lastUpdated;
+            this.manifestVersion = manifest.version || null;
 
             console.log(`Loaded ${this.scripts.length} scripts from manifest`);
             return true;
@@ -57,44 +127,111 @@ class ScriptUpdateManager {
     }
 
     /**
-     * Load cached scripts from localStorage
+     * Load the search index prebuilt by scripts/build.js --export
+     * Without it, or when it was built for another manifest version,
+     * search() builds an index from the loaded scripts
      */
-    loadFromCache() {
-        if (typeof localStorage === 'undefined') return false;
+    async loadSearchIndex() {
+        const lib = ScriptUpdateManager.searchLib();
+        if (!lib) return false;
 
         try {
-            const cached = localStorage.getItem(this.config.cacheKey);
-            if (!cached) return false;
-
-            const { scripts, timestamp } = JSON.parse(cached);
-            const age = Date.now() - timestamp;
+            const response = await fetch(this.config.searchIndexPath);
+            if (!response.ok) {
+                throw new Error(`Failed to load search index: ${response.status}`);
+            }
 
-            if (age < this.config.cacheTTL) {
-                // Merge cached scripts with manifest scripts
-                this.mergeScripts(scripts);
-                console.log('Loaded scripts from cache');
-                return true;
+            const index = await response.json();
+            if (index.version !== lib.SEARCH_INDEX_VERSION) {
+                throw new Error(`Unsupported search index version ${index.version}`);
+            }
+            if (index.manifestVersion !== this.manifestVersion || index.manifestUpdated !== this.manifestUpdated) {
+                throw new Error(`Search index is for manifest ${index.manifestVersion} (${index.manifestUpdated}), not ${this.manifestVersion} (${this.manifestUpdated})`);
             }
+
+            this.searchIndex = index;
+            return true;
+        } catch (error) {
+            console.warn('Search index unavailable, it will be built on first search:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Open the cache store once
+     * Uses config.storage when given, else the best store script-store.js
+     * can open (IndexedDB, localStorage, then memory), and moves the old
+     * single-item localStorage cache into it. Resolves to null when
+     * script-store.js is not loaded.
+     */
+    async openStore() {
+        if (!this.store) {
+            this.store = (async () => {
+                if (this.config.storage) return this.config.storage;
+
+                const lib = ScriptUpdateManager.storeLib();
+                if (!lib) return null;
+
+                const store = await lib.openScriptStore({ name: this.config.cacheKey });
+                await lib.migrateLegacyCache(store, this.config.cacheKey, { ttl: this.config.cacheTTL });
+                return store;
+            })().catch(error => {
+                console.error('Error opening script cache:', error);
+                return null;
+            });
+        }
+        return this.store;
+    }
+
+    /**
+     * Merge cached GitHub results into the loaded scripts
+     * A record saved before the manifest was built is older than the
+     * manifest's copy of that script, so only records for scripts the
+     * manifest lacks, or saved after it, are merged
+     */
+    async loadFromCache() {
+        const store = await this.openStore();
+        if (!store) return false;
+
+        try {
+            const manifestTime = new Date(this.manifestUpdated).getTime() || 0;
+            const known = new Set(this.scripts.map(s => s.id));
+            const cached = (await store.getAll())
+                .filter(record => !known.has(record.key) || record.savedAt > manifestTime)
+                .map(record => record.value);
+            if (!cached.length) return false;
+
+            this.mergeScripts(cached);
+            console.log(`Loaded ${cached.length} scripts from cache`);
+            return true;
         } catch (error) {
             console.error('Error loading from cache:', error);
+            return false;
         }
-        return false;
     }
 
     /**
-     * Save scripts to localStorage cache
+     * Cache scripts fetched from GitHub, one record per script expiring
+     * after config.cacheTTL
+     * The manifest is not cached; it is fetched on every load anyway
      */
-    saveToCache() {
-        if (typeof localStorage === 'undefined') return;
+    async saveToCache(scripts) {
+        const store = await this.openStore();
+        if (!store || !scripts.length) return false;
 
         try {
-            const cacheData = {
-                scripts: this.scripts,
-                timestamp: Date.now()
-            };
-            localStorage.setItem(this.config.cacheKey, JSON.stringify(cacheData));
+            await store.prune();
+            for (const script of scripts) {
+                await store.set(script.id, script, { ttl: this.config.cacheTTL });
+            }
+            return true;
         } catch (error) {
-            console.error('Error saving to cache:', error);
+            if (error.code === 'EQUOTA') {
+                console.warn('Script cache is full, later results were not cached:', error.message);
+            } else {
+                console.error('Error saving to cache:', error);
+            }
+            return false;
         }
     }
 
@@ -155,28 +292,17 @@ class ScriptUpdateManager {
 
     /**
      * Generate a code block for a GitHub repository
+     * Live results carry metadata only; scripts/build.js --fetch stores real
+     * source and README excerpts (see scripts/repo-excerpt.js)
      */
     generateRepoCodeBlock(repo) {
+        const license = repo.license && repo.license.spdx_id !== 'NOASSERTION' ? repo.license.spdx_id : 'Not specified';
         return `\`\`\`cpp
 ; Repository: ${repo.full_name}
-; URL: ${repo.html_url}
-; Stars: ${repo.stargazers_count}
-; Last Updated: ${new Date(repo.updated_at).toLocaleDateString()}
-;
-; Description: ${repo.description || 'No description'}
+; Source:     ${repo.html_url}
+; License:    ${license}
 ;
-; To use this repository:
-; 1. Clone: git clone ${repo.clone_url}
-; 2. Or download ZIP from GitHub
-; 3. Include the main script in your project
-;
-#Requires AutoHotkey v2.0
-
-; Example usage pattern for ${repo.name}:
-#Include <${repo.name}>
-
-; Initialize and use the library
-; (Refer to repository README for specific instructions)
+; No excerpt yet; see the repository.
 \`\`\``;
     }
 
@@ -185,19 +311,37 @@ class ScriptUpdateManager {
      */
     mergeScripts(newScripts) {
         const existingIds = new Set(this.scripts.map(s => s.id));
+        let changed = false;
 
         for (const script of newScripts) {
             if (!existingIds.has(script.id)) {
                 this.scripts.push(script);
                 existingIds.add(script.id);
+                changed = true;
             } else {
                 // Update existing script if newer
                 const index = this.scripts.findIndex(s => s.id === script.id);
-                if (index >= 0 && script.lastModified > this.scripts[index].lastModified) {
-                    this.scripts[index] = script;
+                if (index >= 0 && new Date(script.lastModified) > new Date(this.scripts[index].lastModified)) {
+                    const existing = this.scripts[index];
+                    // Keep what the build stored; live results have none of it
+                    const merged = { ...script };
+                    if (!script.sourceUrl) {
+                        for (const field of BUILD_OWNED_FIELDS) {
+                            if (existing[field] !== undefined) merged[field] = existing[field];
+                        }
+                    }
+                    this.scripts[index] = merged;
+                    // The duplicate link was computed from that excerpt
+                    if (existing.duplicateOf && !script.duplicateOf && this.scripts[index].code === existing.code) {
+                        this.scripts[index].duplicateOf = existing.duplicateOf;
+                    }
+                    changed = true;
                 }
             }
         }
+
+        // The prebuilt index no longer matches; search() rebuilds it
+        if (changed) this.searchIndex = null;
     }
 
     /**
@@ -216,7 +360,7 @@ class ScriptUpdateManager {
         this.lastUpdate = new Date().toISOString();
 
         // Save to cache
-        this.saveToCache();
+        await this.saveToCache(githubScripts);
 
         // Notify callbacks
         this.notifyUpdate();
@@ -268,14 +412,47 @@ class ScriptUpdateManager {
 
     /**
      * Search scripts by query
+     *
+     * Ranks matches in titles, tags, categories, descriptions and code
+     * identifiers, tolerating typos and matching word prefixes.
+     * Returns [{ script, score, highlights }] best first, where highlights
+     * holds [start, end] character ranges for title and description and the
+     * indexes of matching tags
      */
     search(query) {
-        const lowerQuery = query.toLowerCase();
-        return this.scripts.filter(s =>
-            s.title.toLowerCase().includes(lowerQuery) ||
-            s.description.toLowerCase().includes(lowerQuery) ||
-            (s.tags && s.tags.some(t => t.toLowerCase().includes(lowerQuery)))
-        );
+        const lib = ScriptUpdateManager.searchLib();
+        if (!lib) {
+            // search-index.js not loaded: plain substring match
+            const lowerQuery = query.toLowerCase();
+            return this.scripts
+                .filter(s =>
+                    s.title.toLowerCase().includes(lowerQuery) ||
+                    s.description.toLowerCase().includes(lowerQuery) ||
+                    (s.tags && s.tags.some(t => t.toLowerCase().includes(lowerQuery))))
+                .map(script => ({ script, score: 0, highlights: null }));
+        }
+
+        if (!this.searchIndex) {
+            this.searchIndex = lib.buildSearchIndex(this.scripts);
+        }
+
+        const byId = new Map(this.scripts.map(s => [s.id, s]));
+        return lib.searchIndex(this.searchIndex, query)
+            .filter(result => byId.has(result.id))
+            .map(({ id, score, terms }) => {
+                const script = byId.get(id);
+                return {
+                    script,
+                    score,
+                    highlights: {
+                        title: lib.highlightRanges(script.title, terms),
+                        description: lib.highlightRanges(script.description, terms),
+                        tags: (script.tags || [])
+                            .map((tag, i) => lib.highlightRanges(tag, terms).length ? i : -1)
+                            .filter(i => i >= 0)
+                    }
+                };
+            });
     }
 
     /**
@@ -316,33 +493,15 @@ class ScriptUpdateManager {
 
     /**
      * Get statistics about the script collection
+     * Same shape as `build.js --stats --format json` (see collection-stats.js);
+     * in browsers, load collection-stats.js before this file
      */
     getStats() {
-        const categories = {};
-        const difficulties = {};
-        const tags = {};
-
-        for (const script of this.scripts) {
-            categories[script.category] = (categories[script.category] || 0) + 1;
-            difficulties[script.difficulty] = (difficulties[script.difficulty] || 0) + 1;
-
-            if (script.tags) {
-                for (const tag of script.tags) {
-                    tags[tag] = (tags[tag] || 0) + 1;
-                }
-            }
+        const lib = ScriptUpdateManager.statsLib();
+        if (!lib) {
+            throw new Error('getStats() needs scripts/collection-stats.js; load it before script-update.js');
         }
-
-        return {
-            totalScripts: this.scripts.length,
-            lastUpdated: this.lastUpdate,
-            categories,
-            difficulties,
-            topTags: Object.entries(tags)
-                .sort((a, b) => b[1] - a[1])
-                .slice(0, 10)
-                .map(([tag, count]) => ({ tag, count }))
-        };
+        return lib.computeStats(this.scripts, { lastUpdated: this.lastUpdate });
     }
 
     /**
@@ -368,6 +527,8 @@ class ScriptFeedUI {
         this.options = {
             showCode: options.showCode !== false,
             showTags: options.showTags !== false,
+            showV1: options.showV1 === true,
+            collapseDuplicates: options.collapseDuplicates !== false,
             itemsPerPage: options.itemsPerPage || 10,
             ...options
         };
@@ -375,6 +536,9 @@ class ScriptFeedUI {
         this.manager = null;
         this.currentPage = 1;
         this.currentFilter = null;
+        this.highlights = new Map();
+        // Canonical id -> near-duplicates folded into its card
+        this.duplicates = new Map();
     }
 
     /**
@@ -421,6 +585,41 @@ class ScriptFeedUI {
      * Get scripts based on current filter
      */
     getFilteredScripts() {
+        // Tombstones of removed repos are never shown
+        let scripts = this.applyFilter().filter(s => !ScriptUpdateManager.isRemoved(s));
+
+        // Confirmed v1 repos are hidden unless explicitly requested
+        if (!this.options.showV1) {
+            scripts = scripts.filter(s => !ScriptUpdateManager.isConfirmedV1(s));
+        }
+
+        return this.collapseDuplicates(scripts);
+    }
+
+    /**
+     * Fold near-duplicates (duplicateOf, set by build.js --dedupe
+     * --link-duplicates) into their canonical script's card
+     * A duplicate stays visible when its canonical script is not in the list
+     */
+    collapseDuplicates(scripts) {
+        this.duplicates = new Map();
+        if (!this.options.collapseDuplicates) return scripts;
+
+        const shown = new Set(scripts.map(s => s.id));
+        return scripts.filter(script => {
+            if (!script.duplicateOf || !shown.has(script.duplicateOf)) return true;
+            if (!this.duplicates.has(script.duplicateOf)) this.duplicates.set(script.duplicateOf, []);
+            this.duplicates.get(script.duplicateOf).push(script);
+            return false;
+        });
+    }
+
+    /**
+     * Apply the current category/tag/difficulty/search filter
+     */
+    applyFilter() {
+        this.highlights = new Map();
+
         if (!this.currentFilter) {
             return this.manager.scripts;
         }
@@ -433,8 +632,12 @@ class ScriptFeedUI {
                 return this.manager.getByTag(value);
             case 'difficulty':
                 return this.manager.getByDifficulty(value);
-            case 'search':
-                return this.manager.search(value);
+            case 'search': {
+                // Ranked results; keep highlights for renderScript
+                const results = this.manager.search(value);
+                this.highlights = new Map(results.map(r => [r.script.id, r.highlights]));
+                return results.map(r => r.script);
+            }
             default:
                 return this.manager.scripts;
         }
@@ -465,20 +668,32 @@ class ScriptFeedUI {
      * Render a single script card
      */
     renderScript(script) {
+        const highlights = this.highlights.get(script.id) || {};
         const tagsHtml = this.options.showTags && script.tags
-            ? `<div class="script-tags">${script.tags.slice(0, 4).map(t =>
-                `<span class="tag">${this.escapeHtml(t)}</span>`).join('')}</div>`
+            ? `<div class="script-tags">${script.tags.slice(0, 4).map((t, i) =>
+                `<span class="tag${(highlights.tags || []).includes(i) ? ' tag-match' : ''}">${this.escapeHtml(t)}</span>`).join('')}</div>`
             : '';
 
         const difficultyClass = `difficulty-${script.difficulty}`;
+        const versionBadge = this.renderVersionBadge(script);
+        const archivedBadge = script.archived
+            ? '<span class="version-badge archived-badge" title="Repository is archived (read-only)">archived</span>'
+            : '';
+        const duplicates = this.duplicates.get(script.id) || [];
+        const duplicateBadge = duplicates.length
+            ? `<span class="version-badge duplicate-badge" title="Near-duplicates: ${this.escapeHtml(duplicates.map(d => d.title).join(', ')).replace(/"/g, '&quot;')}">+${duplicates.length} similar</span>`
+            : '';
 
         return `
             <div class="script-card" data-id="${script.id}">
                 <div class="script-header">
-                    <h4 class="script-title">${this.escapeHtml(script.title)}</h4>
+                    <h4 class="script-title">${this.highlightText(script.title, highlights.title)}</h4>
+                    ${versionBadge}
+                    ${archivedBadge}
+                    ${duplicateBadge}
                     <span class="script-difficulty ${difficultyClass}">${script.difficulty}</span>
                 </div>
-                <p class="script-description">${this.escapeHtml(script.description)}</p>
+                <p class="script-description">${this.highlightText(script.description, highlights.description)}</p>
                 <div class="script-meta">
                     <span class="script-category">${this.escapeHtml(script.category)}</span>
                     <span class="script-date">${this.formatDate(script.lastModified)}</span>
@@ -489,6 +704,16 @@ class ScriptFeedUI {
         `;
     }
 
+    /**
+     * Render the detected AHK version badge (v1, v2 or mixed)
+     */
+    renderVersionBadge(script) {
+        if (!['v1', 'v2', 'mixed'].includes(script.ahkVersion)) return '';
+
+        const confidence = Math.round((script.ahkVersionConfidence || 0) * 100);
+        return `<span class="version-badge version-${script.ahkVersion}" title="Detected AHK ${script.ahkVersion} (${confidence}% confidence)">${script.ahkVersion}</span>`;
+    }
+
     /**
      * Render pagination controls
      */
@@ -634,6 +859,23 @@ class ScriptFeedUI {
         return div.innerHTML;
     }
 
+    /**
+     * Escape text and wrap the given [start, end] ranges in <mark>
+     */
+    highlightText(text, ranges) {
+        if (!text) return '';
+        if (!ranges || ranges.length === 0) return this.escapeHtml(text);
+
+        let html = '';
+        let last = 0;
+        for (const [start, end] of ranges) {
+            html += this.escapeHtml(text.slice(last, start));
+            html += `<mark>${this.escapeHtml(text.slice(start, end))}</mark>`;
+            last = end;
+        }
+        return html + this.escapeHtml(text.slice(last));
+    }
+
     /**
      * Format date for display
      */
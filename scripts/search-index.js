@@ -0,0 +1,291 @@
+/**
+ * Script Search Index
+ *
+ * Inverted index over the manifest's titles, tags, categories,
+ * descriptions and code identifiers, with ranked, typo-tolerant lookup.
+ * scripts/build.js prebuilds it to dist/search-index.json;
+ * ScriptUpdateManager loads that file and rebuilds the index in the
+ * browser when scripts it does not cover (e.g. cached GitHub repos) are
+ * merged in.
+ *
+ * Words are lower-cased and split on camelCase and snake_case, and the
+ * joined form of adjacent words is indexed too, so "darkmode" finds
+ * "Dark Mode GUI" and "dwm" finds "DwmSetWindowAttribute".
+ */
+
+const SEARCH_INDEX_VERSION = 1;
+
+// Relative importance of a match in each field
+const SEARCH_FIELD_WEIGHTS = {
+    title: 10,
+    tags: 6,
+    category: 4,
+    description: 3,
+    code: 1
+};
+
+// Score multiplier by match kind
+const MATCH_FACTORS = { exact: 1, prefix: 0.7, fuzzy: 0.45 };
+
+const MIN_PREFIX_LENGTH = 2;
+
+/**
+ * Split text into lower-case index terms
+ * 'DarkModeGUI dwmapi\\DwmSetWindowAttribute' ->
+ * ['darkmodegui', 'dark', 'mode', 'gui', 'darkmode', 'modegui', 'dwmapi', ...]
+ * joinWords: also index adjacent words joined (off for code identifiers,
+ * which are unrelated neighbours)
+ */
+function tokenizeText(text, joinWords = true) {
+    const terms = [];
+
+    for (const word of String(text || '').match(/[A-Za-z0-9]+(?:[_'][A-Za-z0-9]+)*/g) || []) {
+        const parts = word
+            .replace(/'/g, '')
+            .split('_')
+            .flatMap(part => part.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g) || [])
+            .map(part => part.toLowerCase());
+
+        terms.push(word.replace(/['_]/g, '').toLowerCase());
+        if (parts.length > 1) {
+            terms.push(...parts);
+            for (let i = 0; i < parts.length - 1; i++) terms.push(parts[i] + parts[i + 1]);
+        }
+    }
+
+    if (!joinWords) return terms;
+
+    // Joined adjacent words: "dark mode" -> "darkmode"
+    const words = String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    for (let i = 0; i < words.length - 1; i++) terms.push(words[i] + words[i + 1]);
+
+    return terms;
+}
+
+/**
+ * Terms of each searchable field of a script
+ */
+function scriptFields(script) {
+    const code = String(script.code || '').replace(/```\w*/g, '');
+    return {
+        title: tokenizeText(script.title),
+        tags: tokenizeText((script.tags || []).join(' ')),
+        category: tokenizeText(script.category),
+        description: tokenizeText(script.description),
+        // Identifiers (including those inside strings, e.g. DllCall targets)
+        code: tokenizeText((code.match(/[A-Za-z_]\w{2,}/g) || []).join(' '), false)
+    };
+}
+
+/**
+ * Build an inverted index for a list of scripts
+ *
+ * Returns { version, manifestVersion, manifestUpdated, ids, terms } where
+ * terms maps each term to a flat [docIndex, weight, docIndex, weight, ...]
+ * list. manifestVersion and manifestUpdated record the manifest's version
+ * and lastUpdated (null when no manifest is given), so a client can tell a
+ * stale prebuilt index from a current one
+ */
+function buildSearchIndex(scripts, manifest = {}) {
+    // No prototype, so words like "constructor" are plain keys
+    const terms = Object.create(null);
+
+    scripts.forEach((script, doc) => {
+        const weights = new Map();
+        for (const [field, fieldTerms] of Object.entries(scriptFields(script))) {
+            const counts = new Map();
+            for (const term of fieldTerms) counts.set(term, (counts.get(term) || 0) + 1);
+            for (const [term, tf] of counts) {
+                weights.set(term, (weights.get(term) || 0) + SEARCH_FIELD_WEIGHTS[field] * (1 + Math.log(tf)));
+            }
+        }
+        for (const [term, weight] of weights) {
+            (terms[term] = terms[term] || []).push(doc, Math.round(weight * 100) / 100);
+        }
+    });
+
+    return {
+        version: SEARCH_INDEX_VERSION,
+        manifestVersion: manifest.version || null,
+        manifestUpdated: manifest.lastUpdated || null,
+        ids: scripts.map(script => script.id),
+        terms
+    };
+}
+
+/**
+ * Edit distance with transpositions, giving up once it exceeds max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d = Math.min(d, prev2[j - 2] + 1);
+            }
+            row.push(d);
+            best = Math.min(best, d);
+        }
+        if (best > max) return max + 1;
+        prev2 = prev;
+        prev = row;
+    }
+
+    return prev[b.length];
+}
+
+/**
+ * Typos tolerated for a query word of a given length
+ */
+function allowedTypos(length) {
+    if (length >= 8) return 2;
+    if (length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * Postings of a term, or [] when the index does not have it
+ * A parsed index is a plain object, so inherited keys must not count
+ */
+function termPostings(index, term) {
+    const postings = Object.prototype.hasOwnProperty.call(index.terms, term) ? index.terms[term] : null;
+    return Array.isArray(postings) ? postings : [];
+}
+
+/**
+ * Index terms matching one query word, with their match factor
+ */
+function matchTerms(index, word) {
+    const matches = [];
+    const typos = allowedTypos(word.length);
+
+    for (const term of Object.keys(index.terms)) {
+        if (term === word) {
+            matches.push({ term, factor: MATCH_FACTORS.exact });
+        } else if (word.length >= MIN_PREFIX_LENGTH && term.startsWith(word)) {
+            // Shorter completions rank above long ones
+            matches.push({ term, factor: MATCH_FACTORS.prefix * (0.5 + 0.5 * word.length / term.length) });
+        } else if (typos && editDistance(word, term, typos) <= typos) {
+            matches.push({ term, factor: MATCH_FACTORS.fuzzy });
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Search an index
+ *
+ * Every query word must match (exactly, as a prefix, or within the typo
+ * allowance); when no document matches all words, documents matching any
+ * word are returned instead. Scores weigh field weights by how rare each
+ * term is.
+ *
+ * Returns [{ id, score, terms }] best first, where terms lists the matched
+ * index terms (for highlighting)
+ */
+function searchIndex(index, query) {
+    const words = String(query || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    if (!words.length) return [];
+
+    const docCount = index.ids.length;
+    const perWord = words.map(word => {
+        const scores = new Map();
+        const terms = new Map();
+
+        for (const { term, factor } of matchTerms(index, word)) {
+            const postings = termPostings(index, term);
+            if (!postings.length) continue;
+            const idf = Math.log(1 + docCount / (postings.length / 2));
+            for (let i = 0; i < postings.length; i += 2) {
+                const doc = postings[i];
+                const score = postings[i + 1] * factor * idf;
+                if (score > (scores.get(doc) || 0)) scores.set(doc, score);
+                if (!terms.has(doc)) terms.set(doc, new Set());
+                terms.get(doc).add(term);
+            }
+        }
+
+        return { scores, terms };
+    });
+
+    const combine = (requireAll) => {
+        const results = new Map();
+        const candidates = new Set(perWord.flatMap(w => [...w.scores.keys()]));
+
+        for (const doc of candidates) {
+            const matched = perWord.filter(w => w.scores.has(doc));
+            if (requireAll && matched.length < words.length) continue;
+
+            results.set(doc, {
+                id: index.ids[doc],
+                score: Math.round(matched.reduce((sum, w) => sum + w.scores.get(doc), 0) * 100) / 100,
+                terms: [...new Set(matched.flatMap(w => [...w.terms.get(doc)]))]
+            });
+        }
+
+        return [...results.values()];
+    };
+
+    const results = combine(true);
+    return (results.length ? results : combine(false))
+        .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+}
+
+/**
+ * Character ranges in text to highlight for a set of matched terms
+ * Returns [[start, end], ...]
+ */
+function highlightRanges(text, terms) {
+    const wanted = new Set(terms);
+    const words = [];
+    const re = /[A-Za-z0-9]+/g;
+    let match;
+
+    while ((match = re.exec(String(text || '')))) {
+        words.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+    }
+
+    const marked = words.map(word => {
+        const parts = word.text.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g) || [];
+        return [word.text, ...parts].some(part => wanted.has(part.toLowerCase()));
+    });
+
+    // Joined adjacent words ("darkmode" matches "Dark Mode")
+    for (let i = 0; i < words.length - 1; i++) {
+        if (wanted.has((words[i].text + words[i + 1].text).toLowerCase())) {
+            marked[i] = marked[i + 1] = true;
+        }
+    }
+
+    return words.filter((_, i) => marked[i]).map(word => [word.start, word.end]);
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SEARCH_INDEX_VERSION,
+        SEARCH_FIELD_WEIGHTS,
+        tokenizeText,
+        buildSearchIndex,
+        searchIndex,
+        highlightRanges
+    };
+} else if (typeof window !== 'undefined') {
+    window.AhkSearchIndex = {
+        SEARCH_INDEX_VERSION,
+        SEARCH_FIELD_WEIGHTS,
+        tokenizeText,
+        buildSearchIndex,
+        searchIndex,
+        highlightRanges
+    };
+}
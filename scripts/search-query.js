@@ -0,0 +1,133 @@
+/**
+ * GitHub Repository Search Query Builder
+ *
+ * Turns a structured search definition into GitHub search syntax, so the
+ * site (repos-feed.js, script-update.js) and the build (scripts/build.js)
+ * discover repositories with the same query.
+ *
+ * Works with both browser environments and Node.js build processes.
+ */
+
+/**
+ * Shared AHK v2 repository search definition
+ *
+ * AutoHotkey v2.0 was released in December 2022; repos not pushed since
+ * then are almost always v1-only.
+ */
+const AHK_REPO_SEARCH = {
+    terms: ['autohotkey', 'v2'],
+    language: 'AutoHotkey',
+    topics: [],
+    minStars: 0,
+    excludeForks: true,
+    excludeArchived: true,
+    pushedSince: '2023-01-01',
+    owners: [],
+    excludeOwners: []
+};
+
+/**
+ * Quote a search term if it contains whitespace
+ */
+function quoteTerm(term) {
+    const value = String(term).trim();
+    if (!value) return '';
+    if (/^".*"$/.test(value) || !/\s/.test(value)) return value;
+    return `"${value.replace(/"/g, '')}"`;
+}
+
+/**
+ * Normalize a string or array option to a list of non-empty strings
+ */
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : String(value).split(/\s+/);
+    return list.map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Format a date option as YYYY-MM-DD
+ */
+function formatSearchDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new TypeError(`Invalid pushedSince date: ${value}`);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate a GitHub login used in an owner filter
+ */
+function checkOwner(owner) {
+    if (!/^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/.test(owner)) {
+        throw new TypeError(`Invalid GitHub owner: ${owner}`);
+    }
+    return owner;
+}
+
+/**
+ * Build a GitHub search query string from structured options
+ *
+ * Options:
+ *   terms           Free-text words (array or space-separated string)
+ *   language        Repository language, e.g. 'AutoHotkey'
+ *   topics          Topics the repo must have (all of them)
+ *   minStars        Minimum stargazer count
+ *   excludeForks    Leave out forks
+ *   excludeArchived Leave out archived repos
+ *   pushedSince     Date (or ISO string) of the oldest allowed push
+ *   owners          Only repos owned by these users/orgs (any of them)
+ *   excludeOwners   Never include repos from these users/orgs
+ *
+ * Returns the unencoded query, e.g.
+ *   'autohotkey v2 language:AutoHotkey fork:false archived:false pushed:>=2023-01-01'
+ */
+function buildSearchQuery(options = {}) {
+    const parts = toList(options.terms).map(quoteTerm).filter(Boolean);
+
+    if (options.language) {
+        parts.push(`language:${quoteTerm(options.language)}`);
+    }
+
+    for (const topic of toList(options.topics)) {
+        parts.push(`topic:${topic.toLowerCase()}`);
+    }
+
+    if (options.minStars !== undefined && options.minStars !== null) {
+        const minStars = Number(options.minStars);
+        if (!Number.isInteger(minStars) || minStars < 0) {
+            throw new TypeError(`Invalid minStars: ${options.minStars}`);
+        }
+        if (minStars > 0) parts.push(`stars:>=${minStars}`);
+    }
+
+    if (options.excludeForks) parts.push('fork:false');
+    if (options.excludeArchived) parts.push('archived:false');
+
+    if (options.pushedSince) {
+        parts.push(`pushed:>=${formatSearchDate(options.pushedSince)}`);
+    }
+
+    for (const owner of toList(options.owners)) {
+        parts.push(`user:${checkOwner(owner)}`);
+    }
+
+    for (const owner of toList(options.excludeOwners)) {
+        parts.push(`-user:${checkOwner(owner)}`);
+    }
+
+    if (parts.length === 0) {
+        throw new TypeError('Search query needs at least one term or qualifier');
+    }
+
+    return parts.join(' ');
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AHK_REPO_SEARCH, buildSearchQuery };
+} else if (typeof window !== 'undefined') {
+    window.AHK_REPO_SEARCH = AHK_REPO_SEARCH;
+    window.buildSearchQuery = buildSearchQuery;
+}
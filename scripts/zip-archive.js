@@ -0,0 +1,109 @@
+/**
+ * Minimal ZIP Writer
+ *
+ * Builds a deflate-compressed .zip archive in memory with Node's zlib, so
+ * the build can bundle the script library without extra dependencies.
+ * Entries are { name, data, date }; names use forward slashes.
+ */
+
+const zlib = require('zlib');
+
+let crcTable = null;
+
+/**
+ * CRC-32 of a buffer (the checksum ZIP stores per entry)
+ */
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encode a date as MS-DOS time and date fields
+ */
+function dosDateTime(date) {
+    const d = date instanceof Date && !isNaN(date.getTime()) ? date : new Date(1980, 0, 1);
+    const year = Math.max(d.getUTCFullYear(), 1980);
+    return {
+        time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | Math.floor(d.getUTCSeconds() / 2),
+        date: ((year - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate()
+    };
+}
+
+/**
+ * Create a ZIP archive
+ * Returns a Buffer
+ */
+function createZip(entries) {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+        const { time, date } = dosDateTime(entry.date);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);             // version needed
+        local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+        local.writeUInt16LE(8, 8);              // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014B50, 0);
+        header.writeUInt16LE(20, 4);            // version made by
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(time, 12);
+        header.writeUInt16LE(date, 14);
+        header.writeUInt32LE(crc, 16);
+        header.writeUInt32LE(compressed.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(name.length, 28);
+        header.writeUInt32LE(offset, 42);
+
+        parts.push(local, name, compressed);
+        central.push(header, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralSize = central.reduce((sum, buf) => sum + buf.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...parts, ...central, end]);
+}
+
+module.exports = {
+    crc32,
+    createZip
+};